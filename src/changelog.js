@@ -0,0 +1,291 @@
+/**
+ * This module generates the changelog from the git history, grouping commits by release
+ * and rendering them with a Handlebars template.
+ * @module src/changelog
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const Handlebars = require("handlebars");
+const gitRepository = require("./git_repository");
+const support = require("./support");
+const commitDirectives = require("./commit_directives");
+const commitTypes = require("./commit_types");
+const references = require("./references");
+const {ChangelogCommit, ChangelogRelease, CommandLineArgs} = require("./type_definitions");
+const {GitRepository} = gitRepository;
+
+/**
+ * Title of the section listing the commits made after the last release.
+ * @type {string}
+ */
+const UNRELEASED_TITLE = "Unreleased";
+
+/**
+ * Separators used to split the output of git log into commits and fields.
+ * @type {{field: string, commit: string}}
+ */
+const LOG_SEPARATORS = {field: "\x1f", commit: "\x1e"};
+
+/**
+ * Fields read from git log for every commit, with their pretty format placeholders.
+ * @type {Array<Array<string>>}
+ */
+const LOG_FIELDS = [
+    ["hash", "%H"],
+    ["author", "%an"],
+    ["email", "%ae"],
+    ["date", "%aI"],
+    ["subject", "%s"],
+    ["body", "%b"]
+];
+
+/**
+ * Month names used to format release dates.
+ * @type {string[]}
+ */
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+/**
+ * Format a date as it is shown in release headings, e.g. "8 September 2023".
+ * @param {string} isoDate - The date in ISO format.
+ * @returns {string} The formatted date.
+ * @private
+ */
+function niceDate(isoDate) {
+    const date = new Date(isoDate);
+    return `${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Get the web URL of the repository from the URL of its remote, to link commits and releases.
+ * @param {string} remote - The name of the git remote.
+ * @param {GitRepository} git - The repository.
+ * @returns {Promise<string|null>} A promise that resolves to the web URL, or null if the remote is missing.
+ * @private
+ */
+async function getRepositoryUrl(remote, git) {
+    const remoteUrl = await git.getConfig(`remote.${remote}.url`);
+    if (!remoteUrl) {
+        return null; // No remote configured
+    }
+
+    // Normalise scp-like (git@host:owner/repo.git) and ssh/git/http(s) URLs to https://host/owner/repo.
+    const match = /^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?(?<host>[^:/]+)(?::\d+)?[:/](?<path>.+?)(?:\.git)?\/?$/.exec(remoteUrl);
+    return match ? `https://${match.groups.host}/${match.groups.path}` : null;
+}
+
+/**
+ * Get the commits of a revision range, oldest first.
+ * @param {string} range - The revision range, e.g. "1.2.0..1.3.0" or "HEAD".
+ * @param {string|null} repositoryUrl - The web URL of the repository, used to link commits.
+ * @param {string} [path] - If set, only the commits changing this path are returned.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<ChangelogCommit[]>} A promise that resolves to the commits of the range.
+ */
+async function getCommits(range, repositoryUrl, path, git = gitRepository.DEFAULT_REPOSITORY) {
+    const format = LOG_FIELDS.map(([, placeholder]) => placeholder).join("%x1f") + "%x1e";
+    const output = await git.log(range, {format, path, reverse: true});
+
+    return output.split(LOG_SEPARATORS.commit)
+        .map(entry => entry.replace(/^\n/, ""))
+        .filter(entry => entry)
+        .map(entry => {
+            const values = entry.split(LOG_SEPARATORS.field);
+            const commit = Object.fromEntries(LOG_FIELDS.map(([name], index) => [name, values[index]]));
+            commit.body = commit.body.trim();
+            return {
+                ...commit,
+                shorthash: commit.hash.slice(0, 7),
+                date: new Date(commit.date).toISOString(),
+                niceDate: niceDate(commit.date),
+                message: commit.body ? `${commit.subject}\n\n${commit.body}` : commit.subject,
+                href: repositoryUrl ? `${repositoryUrl}/commit/${commit.hash}` : null
+            };
+        });
+}
+
+/**
+ * Split commits into the ones not listed yet and the duplicates of listed ones, such as cherry-picks and
+ * rebased copies. Commits are the same if they have the same patch ID or, without one, the same subject and date.
+ * @param {ChangelogCommit[]} commits - The commits.
+ * @param {object} patchIds - The patch IDs of the commits, keyed by commit SHA.
+ * @param {Set<string>} listed - The keys of the commits listed so far, updated with the new ones.
+ * @returns {{unique: ChangelogCommit[], duplicates: ChangelogCommit[]}} The commits not listed yet and the duplicates.
+ * @private
+ */
+function splitDuplicates(commits, patchIds, listed) {
+    const unique = [];
+    const duplicates = [];
+    for (const commit of commits) {
+        const key = patchIds[commit.hash] || `${commit.subject}\n${commit.date}`;
+        (listed.has(key) ? duplicates : unique).push(commit);
+        listed.add(key);
+    }
+    return {unique, duplicates};
+}
+
+/**
+ * Build a release from the commits of a revision range.
+ * @param {string} title - The title of the release.
+ * @param {string|null} tag - The tag of the release, null if it is not tagged yet.
+ * @param {string} isoDate - The date of the release in ISO format.
+ * @param {string|null} previousTag - The tag of the previous release, null for the first release.
+ * @param {{unique: ChangelogCommit[], duplicates: ChangelogCommit[]}} commits - The commits of the release,
+ * without and with the duplicates of the commits of older releases.
+ * @param {string|null} repositoryUrl - The web URL of the repository, used to link the release changes.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {ChangelogRelease} The release, with its commits classified and grouped by type, their references linked
+ * and their contributors listed.
+ * @private
+ */
+function buildRelease(title, tag, isoDate, previousTag, {unique: commits, duplicates}, repositoryUrl, args) {
+    const types = commitTypes.getCommitTypes(args);
+    const patterns = references.getReferencePatterns(args, repositoryUrl);
+    const mailmap = references.readMailmap(args.mailmap);
+    commits.forEach(commit => {
+        Object.assign(commit, commitTypes.parseCommitMessage(commit.message, types));
+        references.linkCommit(commit, patterns, mailmap);
+    });
+
+    return {
+        title,
+        tag,
+        notes: null,
+        previousTag,
+        date: isoDate,
+        isoDate: isoDate.slice(0, 10),
+        niceDate: niceDate(isoDate),
+        commits,
+        duplicates,
+        groups: commitTypes.groupCommits(commits, types),
+        merges: commits.flatMap(commit => commit.references
+            .filter(reference => reference.kind === references.REFERENCE_KINDS.PULL)
+            .map(reference => ({id: reference.id, message: commit.subject, href: reference.href, author: commit.author, commit}))),
+        fixes: commits
+            .filter(commit => commit.references.some(reference => reference.closes))
+            .map(commit => ({commit, fixes: commit.references.filter(reference => reference.closes).map(({id, href}) => ({id, href}))})),
+        contributors: references.getContributors(commits),
+        href: repositoryUrl && previousTag ? `${repositoryUrl}/compare/${previousTag}...${tag || "HEAD"}` : null
+    };
+}
+
+/**
+ * Find the release a revision follows: the highest lower release tag it descends from, so that the releases of
+ * maintenance branches are not compared with the releases of other lines.
+ * @param {string[]} tags - The lower release tags, sorted from the oldest to the newest.
+ * @param {string} revision - The revision, such as a release tag or HEAD.
+ * @param {GitRepository} git - The repository.
+ * @returns {Promise<string|null>} A promise that resolves to the previous release tag (the highest lower one if the
+ * revision descends from none), null if there are no lower tags.
+ * @private
+ */
+async function findPreviousTag(tags, revision, git) {
+    for (const tag of [...tags].reverse()) {
+        if (await git.isAncestor(tag, revision)) {
+            return tag;
+        }
+    }
+    return tags.length ? tags[tags.length - 1] : null;
+}
+
+/**
+ * Get the releases to show in the changelog, newest first, one for each release tag plus one for the commits
+ * made after the last tag. The latter is titled with the given version if it is not tagged yet, "Unreleased" otherwise.
+ * Releases are sorted by SemVer precedence, maintenance releases included, and each one lists the commits since the
+ * release it follows. A commit is only listed in the first release including it: its copies with the same subject and
+ * date are left out of later ones. The directives of commit messages are applied: see src/commit_directives.js.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} versionTagStr - The version of the release being created.
+ * @param {object} [scope] - Restricts the changelog to a part of the repository, such as a workspace package.
+ * @param {string[]} [scope.tags] - The release tags, sorted from the oldest to the newest (defaults to the version tags
+ * up to the release line of the current branch).
+ * @param {string} [scope.path] - The path whose commits are listed (defaults to the whole repository).
+ * @param {boolean} [scope.deduplicate] - Indicates whether to also leave out the cherry-picks and rebased copies of
+ * listed commits, found by patch ID. It reads the diff of every commit, so only whole changelog rebuilds use it.
+ * @returns {Promise<ChangelogRelease[]>} A promise that resolves to the releases.
+ */
+async function getReleases(args, versionTagStr, scope = {}) {
+    const git = gitRepository.fromArgs(args);
+    const repositoryUrl = await getRepositoryUrl(args.remote, git);
+    const tags = scope.tags || await support.getLineReleaseTags(args);
+    const getPatchIds = async range => scope.deduplicate ? git.patchIds(range) : {};
+    const listed = new Set();
+    const releases = [];
+
+    for (const [index, tag] of tags.entries()) {
+        const previousTag = await findPreviousTag(tags.slice(0, index), tag, git);
+        const range = previousTag ? `${previousTag}..${tag}` : tag;
+        const commits = splitDuplicates(commitDirectives.applyDirectives(await getCommits(range, repositoryUrl, scope.path, git), args), await getPatchIds(range), listed);
+        const tagDate = new Date(await git.commitDate(tag)).toISOString();
+        releases.unshift(buildRelease(tag, tag, tagDate, previousTag, commits, repositoryUrl, args));
+    }
+
+    const previousTag = await findPreviousTag(tags, "HEAD", git);
+    const range = previousTag ? `${previousTag}..HEAD` : "HEAD";
+    const unreleased = splitDuplicates(commitDirectives.applyDirectives(await getCommits(range, repositoryUrl, scope.path, git), args), await getPatchIds(range), listed);
+    const isNewVersion = !tags.includes(versionTagStr);
+    if (isNewVersion || unreleased.unique.length) {
+        const title = isNewVersion ? versionTagStr : UNRELEASED_TITLE;
+        releases.unshift(buildRelease(title, null, new Date().toISOString(), previousTag, unreleased, repositoryUrl, args));
+    }
+    return releases;
+}
+
+/**
+ * Build a release from the commits between two revisions, such as two release tags, to compare them.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} from - The older revision, whose commits are left out.
+ * @param {string} to - The newer revision.
+ * @returns {Promise<ChangelogRelease>} A promise that resolves to the release, titled "from...to".
+ */
+async function getRangeRelease(args, from, to) {
+    const git = gitRepository.fromArgs(args);
+    const repositoryUrl = await getRepositoryUrl(args.remote, git);
+    const commits = commitDirectives.applyDirectives(await getCommits(`${from}..${to}`, repositoryUrl, undefined, git), args);
+    const date = new Date(await git.commitDate(to)).toISOString();
+    return buildRelease(`${from}...${to}`, to, date, from, {unique: commits, duplicates: []}, repositoryUrl, args);
+}
+
+/**
+ * Create a Handlebars environment with the helpers available to changelog templates.
+ * @returns {object} The Handlebars environment.
+ * @private
+ */
+function createHandlebars() {
+    const handlebars = Handlebars.create();
+
+    handlebars.registerHelper("json", object => new handlebars.SafeString(JSON.stringify(object, null, 2)));
+
+    // Tells whether a value matches a pattern, for conditions such as {{#if (matches subject "^feat")}}, which keep
+    // the current context.
+    handlebars.registerHelper("matches", (value, pattern, options) => new RegExp(pattern, options.hash.flags || "").test(value));
+
+    return handlebars;
+}
+
+/**
+ * Render releases with the changelog template.
+ * Indentation and repeated blank lines are removed, so that templates can be indented freely.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {ChangelogRelease[]} releases - The releases to render.
+ * @returns {string} The rendered changelog.
+ */
+function render(args, releases) {
+    const template = createHandlebars().compile(fs.readFileSync(args.changelog_template).toString(), {noEscape: true});
+
+    return template({releases})
+        .replace(/\n +/g, "\n")
+        .replace(/^ +/, "")
+        .replace(/\n\n\n+/g, "\n\n")
+        .replace(/\n\n$/, "\n");
+}
+
+module.exports = {
+    UNRELEASED_TITLE,
+    getCommits,
+    getReleases,
+    getRangeRelease,
+    render
+};
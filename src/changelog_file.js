@@ -0,0 +1,173 @@
+/**
+ * This module writes the changelog over an existing changelog file. The hand-written parts between preserve
+ * markers are kept in the section of their release, and the sections missing from the file can be back-filled
+ * without rewriting the rest of it.
+ * @module src/changelog_file
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const constants = require("./constants");
+const changelog = require("./changelog");
+const {ChangelogFileUpdate, ChangelogRelease, CommandLineArgs, PreservedBlock} = require("./type_definitions");
+
+/**
+ * Escape a string to match it literally in a regular expression.
+ * @param {string} text - The string.
+ * @returns {string} The escaped string.
+ * @private
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Pattern of a preserved block: the start marker with its optional release, the hand-written text and the end marker.
+ * @type {RegExp}
+ */
+const PRESERVED_BLOCK_PATTERN = new RegExp(`${escapeRegExp(constants.PRESERVE_MARKERS.START)}(?<release>[^\\n]*?)-->(?<body>[\\s\\S]*?)${escapeRegExp(constants.PRESERVE_MARKERS.END)}`, "g");
+
+/**
+ * Find the release a name refers to: its title, its tag or "Unreleased" for the release not tagged yet.
+ * @param {ChangelogRelease[]} releases - The releases.
+ * @param {string} name - The name.
+ * @returns {ChangelogRelease|undefined} The release, if any.
+ * @private
+ */
+function findRelease(releases, name) {
+    return releases.find(release => release.title === name || release.tag === name)
+        || releases.find(release => !release.tag && name.toLowerCase() === changelog.UNRELEASED_TITLE.toLowerCase());
+}
+
+/**
+ * Find the release of the section some text ends in, from the last heading naming a release.
+ * @param {string} text - The text of the changelog before a preserved block.
+ * @param {ChangelogRelease[]} releases - The releases.
+ * @returns {string|null} The name of the release, null if the text is before every section.
+ * @private
+ */
+function findSectionRelease(text, releases) {
+    const names = [...new Set(releases.flatMap(release => [release.title, release.tag]).filter(name => name).concat(changelog.UNRELEASED_TITLE))];
+    const headings = text.split("\n").filter(line => /^#{1,6}\s/.test(line.trim())).reverse();
+    for (const heading of headings) {
+        const name = names.find(candidate => new RegExp(`(?<![\\w.-])${escapeRegExp(candidate)}(?![\\w.-])`).test(heading));
+        if (name) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the preserved blocks of a changelog. A block belongs to the release named by its start marker or, without one,
+ * to the release of the section it is in; the blocks before every section belong to none.
+ * @param {string} text - The changelog.
+ * @param {ChangelogRelease[]} releases - The releases, to find the sections.
+ * @returns {PreservedBlock[]} The preserved blocks, in order.
+ */
+function readPreservedBlocks(text, releases) {
+    return [...text.matchAll(PRESERVED_BLOCK_PATTERN)].map(match => ({
+        release: match.groups.release.trim() || findSectionRelease(text.slice(0, match.index), releases),
+        body: match.groups.body,
+        text: match[0]
+    }));
+}
+
+/**
+ * Render releases over an existing changelog, keeping its preserved blocks. The blocks are rendered as the notes of
+ * their release, with their start marker naming it; the blocks belonging to no release stay at the top, and the ones
+ * whose release is not rendered, or whose template does not show notes, are kept at the end.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {ChangelogRelease[]} releases - The releases.
+ * @param {string|null} existing - The existing changelog, null if there is none.
+ * @returns {ChangelogFileUpdate} The rendered changelog.
+ */
+function renderChangelog(args, releases, existing) {
+    const blocks = existing ? readPreservedBlocks(existing, releases) : [];
+    const placeholders = new Map();
+    const sections = releases.map(release => {
+        const notes = blocks
+            .filter(block => block.release && findRelease(releases, block.release) === release)
+            .map(block => {
+                const placeholder = `<!-- js-changelog:preserved ${placeholders.size} -->`;
+                placeholders.set(placeholder, {...block, text: `${constants.PRESERVE_MARKERS.START} ${release.tag || release.title} -->${block.body}${constants.PRESERVE_MARKERS.END}`});
+                return placeholder;
+            });
+        return notes.length ? {...release, notes: [release.notes, ...notes].filter(note => note).join("\n\n")} : release;
+    });
+
+    let text = changelog.render(args, sections);
+    const orphans = blocks.filter(block => block.release && !findRelease(releases, block.release));
+    placeholders.forEach((block, placeholder) => {
+        if (text.includes(placeholder)) {
+            text = text.replace(placeholder, () => block.text);
+        } else {
+            orphans.push(block);
+        }
+    });
+
+    const top = blocks.filter(block => !block.release).map(block => `${block.text}\n\n`).join("");
+    const end = orphans.map(block => `\n${block.text}\n`).join("");
+    return {text: top + text + end, preserved: blocks, orphans, added: []};
+}
+
+/**
+ * Format the changelog of some releases to be written over a file, keeping its preserved blocks; the blocks kept at
+ * the end are reported to the logger. The changelog file is always markdown, whatever the format of the release notes.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {ChangelogRelease[]} releases - The releases.
+ * @param {string} path - The path of the changelog file.
+ * @returns {ChangelogFileUpdate} The formatted changelog.
+ */
+function formatChangelog(args, releases, path) {
+    const update = renderChangelog(args, releases, fs.existsSync(path) ? fs.readFileSync(path).toString() : null);
+    if (update.orphans.length) {
+        const logger = args.logger || console;
+        logger.error(`${update.orphans.length} preserved part(s) of ${path} have no release section to go to and are kept at its end: ${update.orphans.map(block => block.release).join(", ")}.`);
+    }
+    return update;
+}
+
+/**
+ * Add the missing release sections to an existing changelog, leaving the rest of it untouched. A section is missing
+ * if no line of the changelog is the first line of the rendered section, such as "# 1.2.0"; it is inserted before
+ * the section of the previous release, or at the end.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {ChangelogRelease[]} releases - The releases, newest first.
+ * @param {string} existing - The existing changelog.
+ * @param {string[]} [versions] - The tags of the releases to add if missing (defaults to every tagged release).
+ * @returns {ChangelogFileUpdate} The changelog with the added sections.
+ * @throws {Error} If a version is not a release tag.
+ */
+function backfillChangelog(args, releases, existing, versions = []) {
+    const tagged = releases.filter(release => release.tag);
+    const unknown = versions.filter(version => !tagged.some(release => release.tag === version));
+    if (unknown.length) {
+        throw new Error(`No release ${unknown.join(", ")} found. Available releases: ${tagged.map(release => release.tag).join(", ")}.`);
+    }
+
+    const lines = existing.split("\n");
+    const sections = new Map(tagged.map(release => [release, changelog.render(args, [release]).replace(/\n+$/, "").split("\n")]));
+    const headingOf = release => sections.get(release).find(line => line.trim()).trim();
+    const indexOf = release => lines.findIndex(line => line.trim() === headingOf(release));
+
+    const added = [];
+    for (const release of tagged.filter(candidate => !versions.length || versions.includes(candidate.tag))) {
+        if (indexOf(release) !== -1) {
+            continue;
+        }
+        const previous = tagged.slice(tagged.indexOf(release) + 1).find(candidate => indexOf(candidate) !== -1);
+        const index = previous ? indexOf(previous) : lines.length - (lines[lines.length - 1] === "" ? 1 : 0);
+        lines.splice(index, 0, ...sections.get(release));
+        added.push(release.tag);
+    }
+    return {text: lines.join("\n"), preserved: [], orphans: [], added};
+}
+
+module.exports = {
+    readPreservedBlocks,
+    renderChangelog,
+    formatChangelog,
+    backfillChangelog
+};
@@ -0,0 +1,188 @@
+/**
+ * This module runs the safety checks made before a release changes anything: clean working tree,
+ * release branch, upstream in sync with the remote, new tags not existing yet, commits to release and,
+ * when the release publishes packages, new versions not published yet.
+ * Each check can be disabled with the checks setting or skipped with --skip-check.
+ * @module src/checks
+ * @project js-changelog
+ */
+"use strict"
+
+const constants = require("./constants");
+const gitRepository = require("./git_repository");
+const npmRegistry = require("./npm_registry");
+const {CheckResult, CheckSettings, CommandLineArgs, Logger, ReleasePlan} = require("./type_definitions");
+
+/**
+ * The default checks setting: every check is enabled and any branch can be released.
+ * @type {CheckSettings}
+ */
+const DEFAULT_CHECKS = Object.fromEntries(Object.values(constants.CHECK_NAMES).map(name => [name, true]));
+
+/**
+ * An object representing the outcomes of a check.
+ * @constant {object}
+ * @property {string} PASSED - The check passed.
+ * @property {string} FAILED - The check failed.
+ * @property {string} SKIPPED - The check is disabled or skipped.
+ */
+const CHECK_STATUSES = {
+    PASSED: "passed",
+    FAILED: "failed",
+    SKIPPED: "skipped"
+};
+
+/**
+ * Validate the checks setting.
+ * @param {*} checks - The checks, as read from the configuration.
+ * @returns {string|null} An error message, or null if the checks are valid.
+ */
+function validateChecks(checks) {
+    if (!checks || typeof checks !== "object" || Array.isArray(checks)) {
+        return "must be an object mapping check names to true or false";
+    }
+    for (const [name, value] of Object.entries(checks)) {
+        if (!Object.values(constants.CHECK_NAMES).includes(name)) {
+            return `has an unknown check "${name}" (known checks: ${Object.values(constants.CHECK_NAMES).join(", ")})`;
+        }
+        const isBranchList = name === constants.CHECK_NAMES.BRANCH && Array.isArray(value) && value.length && value.every(pattern => typeof pattern === "string" && pattern.trim());
+        if (typeof value !== "boolean" && !isBranchList) {
+            return name === constants.CHECK_NAMES.BRANCH ? `check "${name}" must be a boolean or an array of branch patterns` : `check "${name}" must be a boolean`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a branch matches a pattern, where "*" matches any sequence of characters.
+ * @param {string} branch - The branch.
+ * @param {string} pattern - The pattern, such as "release/*".
+ * @returns {boolean} True if the branch matches.
+ * @private
+ */
+function matchesBranchPattern(branch, pattern) {
+    const source = pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`).test(branch);
+}
+
+/**
+ * The checks, keyed by name. Each one resolves to an error message, or null if it passes.
+ * @type {object}
+ * @private
+ */
+const CHECKS = {
+    async [constants.CHECK_NAMES.CLEAN](git) {
+        const files = await git.uncommittedFiles();
+        return files.length ? `uncommitted changes in ${files.slice(0, 5).join(", ")}${files.length > 5 ? ` and ${files.length - 5} more` : ""}` : null;
+    },
+    async [constants.CHECK_NAMES.BRANCH](git, args, plan, setting) {
+        const branch = await git.currentBranch();
+        if (!branch) {
+            return "HEAD is detached: check out the branch to release";
+        }
+        if (Array.isArray(setting) && !setting.some(pattern => matchesBranchPattern(branch, pattern))) {
+            return `"${branch}" is not a release branch (allowed: ${setting.join(", ")})`;
+        }
+        return null;
+    },
+    async [constants.CHECK_NAMES.UPSTREAM](git, args) {
+        const branch = await git.currentBranch();
+        const upstream = branch ? await git.upstream(branch) : null;
+        if (!upstream) {
+            return `${branch || "HEAD"} has no upstream branch: push it with git push --set-upstream ${args.remote} ${branch || "<branch>"}`;
+        }
+        if (upstream.remote !== args.remote) {
+            return `${branch} tracks ${upstream.remote}/${upstream.branch}, not a branch of the ${args.remote} remote`;
+        }
+
+        await git.fetch(args.remote, upstream.branch);
+        const local = await git.revParse("HEAD");
+        const remote = await git.revParse(`refs/remotes/${args.remote}/${upstream.branch}`);
+        return local === remote ? null : `${branch} (${local.slice(0, 7)}) is not in sync with ${args.remote}/${upstream.branch} (${remote.slice(0, 7)}): pull or push first`;
+    },
+    async [constants.CHECK_NAMES.TAG](git, args, plan) {
+        const existing = await git.tags();
+        const taken = plan.tags.filter(tag => existing.includes(tag));
+        return taken.length ? `tag ${taken.join(", ")} already exists` : null;
+    },
+    async [constants.CHECK_NAMES.COMMITS](git, args, plan) {
+        return plan.commits ? null : `no commits since ${plan.since}`;
+    },
+    async [constants.CHECK_NAMES.PUBLISHED](git, args, plan) {
+        const published = [];
+        for (const target of plan.publish) {
+            if (await npmRegistry.isPublished(target, args.registry)) {
+                published.push(`${target.name}@${target.version}`);
+            }
+        }
+        return published.length ? `${published.join(", ")} already published to ${args.registry || "the npm registry"}` : null;
+    }
+};
+
+/**
+ * Run the pre-release checks.
+ * @param {CommandLineArgs} args - Command line arguments; checks holds the settings and skip_checks the skipped checks.
+ * @param {ReleasePlan} plan - What the release is about to create.
+ * @returns {Promise<CheckResult[]>} A promise that resolves to the result of every check, in order.
+ */
+async function runChecks(args, plan) {
+    const git = gitRepository.fromArgs(args);
+    const settings = {...DEFAULT_CHECKS, ...args.checks};
+    const results = [];
+    for (const name of Object.values(constants.CHECK_NAMES)) {
+        if (settings[name] === false || (args.skip_checks || []).includes(name)) {
+            results.push({name, status: CHECK_STATUSES.SKIPPED, message: settings[name] === false ? "disabled" : "skipped"});
+            continue;
+        }
+        if (name === constants.CHECK_NAMES.PUBLISHED && !(plan.publish || []).length) {
+            results.push({name, status: CHECK_STATUSES.SKIPPED, message: "nothing to publish"});
+            continue;
+        }
+        try {
+            const error = await CHECKS[name](git, args, plan, settings[name]);
+            results.push({name, status: error ? CHECK_STATUSES.FAILED : CHECK_STATUSES.PASSED, message: error || "ok"});
+        } catch (error) {
+            results.push({name, status: CHECK_STATUSES.FAILED, message: error.message});
+        }
+    }
+    return results;
+}
+
+/**
+ * Log a readable report of the check results.
+ * @param {CheckResult[]} results - The check results.
+ * @param {Logger} logger - The logger.
+ * @returns {void} Nothing.
+ */
+function reportChecks(results, logger) {
+    logger.log("Pre-release checks:");
+    results.forEach(result => logger.log(`  [${result.status}] ${result.name}: ${result.message}`));
+}
+
+/**
+ * Run the pre-release checks, report them and fail if any of them fails.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {ReleasePlan} plan - What the release is about to create.
+ * @param {Logger} logger - The logger the report is written to.
+ * @returns {Promise<CheckResult[]>} A promise that resolves to the check results if no check fails.
+ * @throws {Error} If some checks fail.
+ */
+async function assertChecks(args, plan, logger) {
+    const results = await runChecks(args, plan);
+    reportChecks(results, logger);
+
+    const failed = results.filter(result => result.status === CHECK_STATUSES.FAILED).map(result => result.name);
+    if (failed.length) {
+        throw new Error(`Pre-release checks failed: ${failed.join(", ")}. Fix them, or skip them with --skip-check ${failed[0]}.`);
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_CHECKS,
+    CHECK_STATUSES,
+    validateChecks,
+    runChecks,
+    reportChecks,
+    assertChecks
+};
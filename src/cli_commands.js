@@ -9,16 +9,19 @@
 "use strict";
 
 const { promisify } = require("util");
+const readline = require("readline");
+const { spawn } = require("child_process");
 const exec = promisify(require("child_process").exec);
 
 /**
  * Execute a command and return its standard output.
  * @param {string} command - The command to execute.
+ * @param {object} [options] - The options of child_process.exec, such as env.
  * @returns {Promise<string>} A promise that resolves to the standard output of the executed command.
  */
-async function execute(command) {
+async function execute(command, options) {
     try {
-        const execution = await exec(command);
+        const execution = await exec(command, options);
         return execution.stdout;
     } catch (error) {
         // Handle any execution errors here
@@ -26,4 +29,29 @@ async function execute(command) {
     }
 }
 
-module.exports = { execute };
+/**
+ * Run a command, handing each line of its output over as soon as it is printed: unlike execute, the output is not
+ * buffered, so it has no size limit.
+ * @param {string} command - The command to run.
+ * @param {object} [options] - The options of child_process.spawn, such as env.
+ * @param {Function} [onLine] - Called with each line and the name of its stream, "stdout" or "stderr".
+ * @returns {Promise<void>} A promise that resolves when the command exits successfully.
+ * @throws {Error} If the command cannot be run, or exits with an error code or a signal.
+ */
+async function stream(command, options = {}, onLine = () => undefined) {
+    const child = spawn(command, { ...options, shell: true, stdio: ["inherit", "pipe", "pipe"] });
+    for (const name of ["stdout", "stderr"]) {
+        readline.createInterface({ input: child[name], crlfDelay: Infinity }).on("line", line => onLine(line, name));
+    }
+    const [code, signal] = await new Promise((resolve, reject) => {
+        child.on("error", reject);
+        child.on("close", (exitCode, exitSignal) => resolve([exitCode, exitSignal]));
+    }).catch(error => {
+        throw new Error(`Failed to execute command: ${command}\nError: ${error.message}`);
+    });
+    if (code !== 0) {
+        throw new Error(`Failed to execute command: ${command}\nError: ${signal ? `killed by ${signal}` : `exit code ${code}`}`);
+    }
+}
+
+module.exports = { execute, stream };
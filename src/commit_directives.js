@@ -0,0 +1,108 @@
+/**
+ * This module reads the directives commit messages give to the changelog and to releases: "[skip changelog]" keeps a
+ * commit out of the changelog, a "Changelog-Override:" trailer replaces the subject shown for it and a "Release-As:"
+ * trailer forces the version of the next release. The version bump commits of the tool are always left out.
+ * @module src/commit_directives
+ * @project js-changelog
+ */
+"use strict"
+
+const constants = require("./constants");
+const semver = require("./semver");
+const tagTemplates = require("./tag_templates");
+const {ChangelogCommit, CommandLineArgs, SemVerInfo} = require("./type_definitions");
+
+/**
+ * Pattern of the directive keeping a commit out of the changelog, such as "[skip changelog]" or "[changelog skip]".
+ * @type {RegExp}
+ */
+const SKIP_CHANGELOG_PATTERN = /\[(?:skip[ -]changelog|changelog[ -]skip)\]/i;
+
+/**
+ * Pattern of the trailer replacing the subject of a commit in the changelog.
+ * @type {RegExp}
+ */
+const OVERRIDE_TRAILER_PATTERN = /^Changelog-Override:[ \t]*(?<subject>\S.*?)[ \t]*$/im;
+
+/**
+ * Pattern of the trailer forcing the version of the next release.
+ * @type {RegExp}
+ */
+const RELEASE_AS_TRAILER_PATTERN = /^Release-As:[ \t]*(?<version>\S+)[ \t]*$/im;
+
+/**
+ * Pattern of the release tags a version bump commit message names in place of {version}, such as "v1.2.0" or
+ * "core@1.2.0, cli@2.0.1" for the releases of several workspace packages.
+ * @type {string}
+ */
+const RELEASE_TAGS_PATTERN = `[^\\s,]*${tagTemplates.VERSION_PATTERN}[^\\s,]*(?:, [^\\s,]*${tagTemplates.VERSION_PATTERN}[^\\s,]*)*`;
+
+/**
+ * Check whether a commit subject is the one of a version bump commit, as made by support.formatCommitMessage: the
+ * {version} placeholder only matches release tags, so that a template such as "{version}" does not match every subject.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} subject - The subject of the commit message.
+ * @returns {boolean} True if the subject follows the version bump commit message.
+ */
+function isVersionBumpMessage(args, subject) {
+    const [template] = (args.commit_message || constants.COMMIT_MESSAGE_FORMAT).split("\n");
+    const source = template.split("{version}").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(RELEASE_TAGS_PATTERN);
+    return new RegExp(`^${source}$`).test(subject.trim());
+}
+
+/**
+ * Check whether a commit is kept out of the changelog: it has the skip directive or it is a version bump commit.
+ * @param {string} message - The whole commit message.
+ * @param {CommandLineArgs} args - Command line arguments, giving the version bump commit message.
+ * @returns {boolean} True if the commit is not shown in the changelog.
+ */
+function isSkipped(message, args) {
+    return SKIP_CHANGELOG_PATTERN.test(message) || isVersionBumpMessage(args, message.trim().split("\n")[0]);
+}
+
+/**
+ * Apply the changelog directives of some commits: the skipped commits are left out, and the subject of the commits
+ * with a Changelog-Override trailer is replaced, so that they are classified and shown after the new subject.
+ * @param {ChangelogCommit[]} commits - The commits.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {ChangelogCommit[]} The commits to show in the changelog.
+ */
+function applyDirectives(commits, args) {
+    return commits
+        .filter(commit => !isSkipped(commit.message, args))
+        .map(commit => {
+            const override = OVERRIDE_TRAILER_PATTERN.exec(commit.body);
+            if (!override) {
+                return commit;
+            }
+            const subject = override.groups.subject;
+            return {...commit, subject, message: commit.body ? `${subject}\n\n${commit.body}` : subject};
+        });
+}
+
+/**
+ * Find the version forced by the Release-As trailer of the newest commit having one.
+ * @param {string[]} messages - The whole messages of the commits to release, newest first.
+ * @returns {{version: SemVerInfo, message: string}|null} The forced version and the message asking for it, null if
+ * no commit has the trailer.
+ * @throws {Error} If the trailer does not hold a valid version.
+ */
+function findReleaseAs(messages) {
+    for (const message of messages) {
+        const match = RELEASE_AS_TRAILER_PATTERN.exec(message);
+        if (match) {
+            if (!semver.isValid(match.groups.version)) {
+                throw new Error(`Invalid Release-As trailer in "${message.split("\n")[0]}": ${match.groups.version} is not a version.`);
+            }
+            return {version: semver.parse(match.groups.version), message};
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    isVersionBumpMessage,
+    isSkipped,
+    applyDirectives,
+    findReleaseAs
+};
@@ -0,0 +1,207 @@
+/**
+ * This module lints commit messages against the commit types the changelog is grouped by, so that commits do not
+ * end up in the "Other" section by mistake. It checks single messages, as a commit-msg hook does, or the commits
+ * of a revision range, and installs the commit-msg hook in the repository.
+ * @module src/commit_lint
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const path = require("path");
+const gitRepository = require("./git_repository");
+const commitDirectives = require("./commit_directives");
+const commitTypes = require("./commit_types");
+const {CommandLineArgs, CommitLintResult} = require("./type_definitions");
+
+/**
+ * Patterns of the messages git writes itself, which are never linted: merges, reverts and the fixup commits of
+ * interactive rebases.
+ * @type {RegExp[]}
+ */
+const IGNORED_PATTERNS = [/^Merge /, /^Revert "/, /^(?:fixup|squash|amend)! /];
+
+/**
+ * The line git puts after the comment character and before the diff of verbose commits: everything below it is left
+ * out of the message.
+ * @type {string}
+ */
+const SCISSORS_LINE = "------------------------ >8 ------------------------";
+
+/**
+ * The comment character of git when core.commentChar is not set.
+ * @type {string}
+ */
+const DEFAULT_COMMENT_CHAR = "#";
+
+/**
+ * The characters git chooses the comment character among when core.commentChar is "auto".
+ * @type {string[]}
+ */
+const AUTO_COMMENT_CHARS = [..."#;@!$%^&|:"];
+
+/**
+ * The values of the commit.cleanup setting of git that remove the comment lines of commit messages: "default" does
+ * when the message is edited, which is when git adds comments to the message file.
+ * @type {string[]}
+ */
+const STRIPPING_CLEANUP_MODES = ["strip", "default"];
+
+/**
+ * The line identifying the commit-msg hook installed by js-changelog.
+ * @type {string}
+ */
+const HOOK_MARKER = "# Installed by js-changelog: lints commit messages against the changelog commit types.";
+
+/**
+ * Read how git cleans up the message file of a commit: its core.commentChar and commit.cleanup settings.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<{commentChar: string, cleanup: string}>} A promise that resolves to the comment character and the
+ * cleanup mode.
+ */
+async function getCleanupSettings(args) {
+    const git = gitRepository.fromArgs(args);
+    return {
+        commentChar: await git.getConfig("core.commentChar") || DEFAULT_COMMENT_CHAR,
+        cleanup: await git.getConfig("commit.cleanup") || "default"
+    };
+}
+
+/**
+ * Find the comment character git chose for a message file when core.commentChar is "auto": git puts its comments at
+ * the end of the message, before the verbose diff.
+ * @param {string[]} lines - The lines of the message file.
+ * @returns {string} The comment character.
+ * @private
+ */
+function findAutoCommentChar(lines) {
+    const scissors = lines.find(line => AUTO_COMMENT_CHARS.some(char => line === `${char} ${SCISSORS_LINE}`));
+    const last = scissors || [...lines].reverse().find(line => line.trim());
+    return last && AUTO_COMMENT_CHARS.includes(last[0]) ? last[0] : DEFAULT_COMMENT_CHAR;
+}
+
+/**
+ * Remove what git removes from the message file of a commit: the verbose diff below the scissors line and, unless
+ * the cleanup mode keeps them, the comment lines. A verbatim message is kept as it is.
+ * @param {string} text - The content of the message file.
+ * @param {object} [settings] - The cleanup settings of git, as read by getCleanupSettings.
+ * @param {string} [settings.commentChar] - The comment character (defaults to "#"), possibly "auto".
+ * @param {string} [settings.cleanup] - The commit.cleanup mode (defaults to "default").
+ * @returns {string} The commit message.
+ */
+function cleanCommitMessage(text, {commentChar = DEFAULT_COMMENT_CHAR, cleanup = "default"} = {}) {
+    if (cleanup === "verbatim") {
+        return text;
+    }
+    let lines = text.split("\n");
+    const char = commentChar === "auto" ? findAutoCommentChar(lines) : commentChar;
+    const scissors = lines.indexOf(`${char} ${SCISSORS_LINE}`);
+    if (scissors !== -1) {
+        lines = lines.slice(0, scissors);
+    }
+    if (STRIPPING_CLEANUP_MODES.includes(cleanup)) {
+        lines = lines.filter(line => !line.startsWith(char));
+    }
+    return lines.join("\n").trim();
+}
+
+/**
+ * Lint a commit message: its subject must declare one of the commit types (or one of their aliases) and a
+ * description, as in "feat(parser): support comments", and a blank line must separate it from the body.
+ * The fallback type, "other", is not accepted since it is meant for the commits that declare no type.
+ * @param {string} message - The commit message.
+ * @param {CommandLineArgs} args - Command line arguments, giving the commit types and the version bump commit message.
+ * @returns {string[]} The problems found, empty if the message is valid or is not linted.
+ */
+function lintCommitMessage(message, args) {
+    const [subject, separator] = message.trim().split("\n");
+    if (!subject || IGNORED_PATTERNS.some(pattern => pattern.test(subject)) || commitDirectives.isVersionBumpMessage(args, subject)) {
+        return [];
+    }
+
+    const types = commitTypes.getCommitTypes(args);
+    const accepted = Object.entries(types)
+        .filter(([type]) => type !== commitTypes.OTHER_TYPE)
+        .flatMap(([type, definition]) => [type, ...definition.aliases]);
+    const match = commitTypes.MESSAGE_PATTERN.exec(subject.trim());
+    const problems = [];
+    if (!match) {
+        problems.push(`the subject must start with a type, as in "fix: description" or "feat(scope)!: description" (types: ${accepted.join(", ")})`);
+    } else {
+        if (!accepted.includes(match.groups.type.toLowerCase())) {
+            problems.push(`"${match.groups.type}" is not a commit type: use one of ${accepted.join(", ")}`);
+        }
+        if (!match.groups.description.trim()) {
+            problems.push("the subject has no description after the type");
+        }
+    }
+    if (separator !== undefined && separator.trim()) {
+        problems.push("the subject must be followed by a blank line before the body");
+    }
+    return problems;
+}
+
+/**
+ * Lint the messages of the commits of a revision range, such as a branch before it is merged.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} range - The revision range, such as "main..feature".
+ * @returns {Promise<CommitLintResult[]>} A promise that resolves to the lint result of each commit, oldest first.
+ * @throws {Error} If the range is not valid.
+ */
+async function lintRange(args, range) {
+    const output = await gitRepository.fromArgs(args).log(range, {format: "%H%x1f%B%x1e", reverse: true});
+    return output.split("\x1e")
+        .map(entry => entry.replace(/^\n/, ""))
+        .filter(entry => entry.trim())
+        .map(entry => {
+            const [hash, message] = entry.split("\x1f");
+            return {hash, subject: message.trim().split("\n")[0], problems: lintCommitMessage(message, args)};
+        });
+}
+
+/**
+ * The command run by the commit-msg hook: git runs hooks from the top of the working tree, so the js-changelog
+ * installed in the node_modules of the project is found there, otherwise npx looks for it without installing it.
+ * @type {string}
+ */
+const HOOK_COMMAND = "js-changelog";
+
+/**
+ * Install the commit-msg hook linting commit messages, in the hooks directory of the repository. The hook resolves
+ * js-changelog when a commit is made, so it keeps working when the package is reinstalled, moved or updated.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<string>} A promise that resolves to the path of the installed hook.
+ * @throws {Error} If another commit-msg hook is installed or the hooks directory is not a directory.
+ */
+async function installCommitMsgHook(args) {
+    const hookPath = path.resolve(await gitRepository.fromArgs(args).gitPath(path.join("hooks", "commit-msg")));
+    if (fs.existsSync(path.dirname(hookPath)) && !fs.statSync(path.dirname(hookPath)).isDirectory()) {
+        throw new Error(`The git hooks directory ${path.dirname(hookPath)} is not a directory: check the core.hooksPath setting of git.`);
+    }
+    if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath).toString().includes(HOOK_MARKER)) {
+        throw new Error(`${hookPath} already exists: remove it, or call "js-changelog --lint-commit <file>" from it.`);
+    }
+
+    const options = `${args.config ? ` --config ${JSON.stringify(path.resolve(args.config))}` : ""} --lint-commit "$1"`;
+    const local = `node_modules/.bin/${HOOK_COMMAND}`;
+    const script = [
+        "#!/bin/sh",
+        HOOK_MARKER,
+        `if [ -x ${local} ]; then`,
+        `    exec ${local}${options}`,
+        "fi",
+        `exec npx --no-install ${HOOK_COMMAND}${options}`
+    ];
+    fs.mkdirSync(path.dirname(hookPath), {recursive: true});
+    fs.writeFileSync(hookPath, `${script.join("\n")}\n`, {mode: 0o755});
+    fs.chmodSync(hookPath, 0o755);
+    return hookPath;
+}
+
+module.exports = {
+    getCleanupSettings,
+    cleanCommitMessage,
+    lintCommitMessage,
+    lintRange,
+    installCommitMsgHook
+};
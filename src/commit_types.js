@@ -0,0 +1,185 @@
+/**
+ * This module defines the commit types recognised in commit messages, following Conventional Commits,
+ * and uses them both to choose the release type and to group commits into changelog sections.
+ *
+ * A commit message is expected to start with "type(scope)!: description"; the scope and the "!" breaking
+ * marker are optional, and a "BREAKING CHANGE:" footer marks a breaking change too.
+ * @module src/commit_types
+ * @project js-changelog
+ */
+"use strict"
+
+const constants = require("./constants");
+const {CommandLineArgs, CommitTypes, ParsedCommitMessage, CommitGroup} = require("./type_definitions");
+
+/**
+ * The type of breaking changes, whatever type their message declares.
+ * @type {string}
+ */
+const BREAKING_TYPE = "break";
+
+/**
+ * The type of commits whose message declares no known type.
+ * @type {string}
+ */
+const OTHER_TYPE = "other";
+
+/**
+ * The default commit types, in the order their changelog sections are shown.
+ * @type {CommitTypes}
+ */
+const DEFAULT_COMMIT_TYPES = {
+    [BREAKING_TYPE]: {heading: "### Breaking changes", bump: constants.RELEASE_TYPES.MAJOR, changelog: true, aliases: []},
+    feat: {heading: "### Features", bump: constants.RELEASE_TYPES.MINOR, changelog: true, aliases: ["feature"]},
+    fix: {heading: "### Fixes", bump: constants.RELEASE_TYPES.PATCH, changelog: true, aliases: []},
+    perf: {heading: "### Performance improvements", bump: constants.RELEASE_TYPES.PATCH, changelog: true, aliases: []},
+    refactor: {heading: "### Refactoring", bump: null, changelog: true, aliases: []},
+    docs: {heading: "### Documentation", bump: null, changelog: false, aliases: []},
+    [OTHER_TYPE]: {heading: "### Other", bump: null, changelog: true, aliases: []}
+};
+
+/**
+ * Release types from the highest to the lowest increment.
+ * @type {string[]}
+ */
+const BUMP_ORDER = [constants.RELEASE_TYPES.MAJOR, constants.RELEASE_TYPES.MINOR, constants.RELEASE_TYPES.PATCH];
+
+/**
+ * Pattern of a commit subject declaring its type, e.g. "feat(parser)!: drop the legacy syntax".
+ * @type {RegExp}
+ */
+const MESSAGE_PATTERN = /^(?<type>[a-zA-Z]+)(?:\((?<scope>[^()]*)\))?(?<bang>!)?: (?<description>.*)$/;
+
+/**
+ * Pattern of the footer marking a breaking change in a commit body.
+ * @type {RegExp}
+ */
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE: /m;
+
+/**
+ * Merge custom commit types over the default ones. A custom type set to false removes a default type.
+ * @param {CommitTypes} [custom] - The custom commit types.
+ * @returns {CommitTypes} The resulting commit types.
+ */
+function mergeCommitTypes(custom = {}) {
+    const merged = {};
+    for (const [type, definition] of Object.entries({...DEFAULT_COMMIT_TYPES, ...custom})) {
+        if (definition !== false) {
+            merged[type] = {changelog: true, bump: null, aliases: [], ...DEFAULT_COMMIT_TYPES[type], ...definition};
+        }
+    }
+    // The fallback type is needed to classify any commit.
+    merged[OTHER_TYPE] = merged[OTHER_TYPE] || DEFAULT_COMMIT_TYPES[OTHER_TYPE];
+    return merged;
+}
+
+/**
+ * Validate custom commit types.
+ * @param {*} custom - The custom commit types, as read from the configuration.
+ * @returns {string|null} An error message, or null if the commit types are valid.
+ */
+function validateCommitTypes(custom) {
+    if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+        return "must be an object mapping types to their definition";
+    }
+    for (const [type, definition] of Object.entries(custom)) {
+        if (definition === false) {
+            continue;
+        }
+        if (!definition || typeof definition !== "object") {
+            return `type "${type}" must be an object or false`;
+        }
+        if (definition.heading !== undefined && typeof definition.heading !== "string") {
+            return `type "${type}" must have a string heading`;
+        }
+        if (definition.bump !== undefined && definition.bump !== null && !BUMP_ORDER.includes(definition.bump)) {
+            return `type "${type}" must have a bump among ${BUMP_ORDER.join(", ")} or null`;
+        }
+        if (definition.changelog !== undefined && typeof definition.changelog !== "boolean") {
+            return `type "${type}" must have a boolean changelog flag`;
+        }
+        if (definition.aliases !== undefined && !(Array.isArray(definition.aliases) && definition.aliases.every(alias => typeof alias === "string"))) {
+            return `type "${type}" must have an array of string aliases`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the commit types to use.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {CommitTypes} The commit types.
+ */
+function getCommitTypes(args) {
+    return args.commit_types || DEFAULT_COMMIT_TYPES;
+}
+
+/**
+ * Parse a commit message and classify it.
+ * Breaking changes are classified as BREAKING_TYPE, unknown types as OTHER_TYPE.
+ * @param {string} message - The whole commit message.
+ * @param {CommitTypes} commitTypes - The commit types.
+ * @returns {ParsedCommitMessage} The parsed message.
+ */
+function parseCommitMessage(message, commitTypes) {
+    const [subject, ...body] = message.trim().split("\n");
+    const match = MESSAGE_PATTERN.exec(subject.trim());
+    const declaredType = match ? match.groups.type.toLowerCase() : null;
+    const breaking = Boolean(match && match.groups.bang) || BREAKING_FOOTER_PATTERN.test(body.join("\n"));
+
+    let type = Object.keys(commitTypes).find(key => key === declaredType || commitTypes[key].aliases.includes(declaredType)) || OTHER_TYPE;
+    if (breaking && commitTypes[BREAKING_TYPE]) {
+        type = BREAKING_TYPE;
+    }
+
+    return {
+        type,
+        scope: match && match.groups.scope ? match.groups.scope : null,
+        breaking: breaking || type === BREAKING_TYPE,
+        description: match ? match.groups.description : subject.trim()
+    };
+}
+
+/**
+ * Choose the release type required by a list of commits: the highest bump among their types.
+ * @param {string[]} messages - The whole messages of the commits to release.
+ * @param {CommitTypes} commitTypes - The commit types.
+ * @returns {{releaseType: string, type: string, messages: string[]}|null} The release type, the commit type that
+ * requires it and the matching messages, or null if none of the commits is releasable.
+ */
+function chooseReleaseType(messages, commitTypes) {
+    const parsed = messages.map(message => ({message, ...parseCommitMessage(message, commitTypes)}));
+    for (const releaseType of BUMP_ORDER) {
+        const matching = parsed.filter(commit => commitTypes[commit.type].bump === releaseType || (commit.breaking && releaseType === constants.RELEASE_TYPES.MAJOR));
+        if (matching.length) {
+            return {releaseType, type: matching[0].type, messages: matching.map(commit => commit.message)};
+        }
+    }
+    return null;
+}
+
+/**
+ * Group commits by type, in the order of the commit types, leaving out the types hidden from the changelog.
+ * @param {Array<{type: string}>} commits - The classified commits.
+ * @param {CommitTypes} commitTypes - The commit types.
+ * @returns {CommitGroup[]} The non-empty groups.
+ */
+function groupCommits(commits, commitTypes) {
+    return Object.entries(commitTypes)
+        .filter(([, definition]) => definition.changelog)
+        .map(([type, definition]) => ({type, heading: definition.heading, commits: commits.filter(commit => commit.type === type)}))
+        .filter(group => group.commits.length);
+}
+
+module.exports = {
+    BREAKING_TYPE,
+    OTHER_TYPE,
+    DEFAULT_COMMIT_TYPES,
+    MESSAGE_PATTERN,
+    mergeCommitTypes,
+    validateCommitTypes,
+    getCommitTypes,
+    parseCommitMessage,
+    chooseReleaseType,
+    groupCommits
+};
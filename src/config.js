@@ -0,0 +1,192 @@
+/**
+ * This module loads the js-changelog settings from a configuration file and merges them with
+ * the command-line arguments. Settings are merged in a fixed order: defaults, configuration file, command line.
+ *
+ * The configuration is read from the first existing source among .jschangelogrc.json, .jschangelogrc.js
+ * and the "js-changelog" key of package.json, unless a file is given with --config.
+ * @module src/config
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const path = require("path");
+const constants = require("./constants");
+const commitTypes = require("./commit_types");
+const tagTemplates = require("./tag_templates");
+const checks = require("./checks");
+const hooks = require("./hooks");
+const versionFiles = require("./version_files");
+const npmRegistry = require("./npm_registry");
+const releaseLines = require("./release_lines");
+const references = require("./references");
+const {CommandLineArgs, SettingDefinition} = require("./type_definitions");
+
+/**
+ * Check that a value is a non-empty string.
+ * @param {*} value - The value to check.
+ * @returns {string|null} An error message, or null if the value is valid.
+ * @private
+ */
+function nonEmptyString(value) {
+    return typeof value === "string" && value.trim() ? null : "must be a non-empty string";
+}
+
+/**
+ * Check that a value is a string, possibly empty.
+ * @param {*} value - The value to check.
+ * @returns {string|null} An error message, or null if the value is valid.
+ * @private
+ */
+function string(value) {
+    return typeof value === "string" ? null : "must be a string";
+}
+
+/**
+ * Check that a value is a boolean.
+ * @param {*} value - The value to check.
+ * @returns {string|null} An error message, or null if the value is valid.
+ * @private
+ */
+function boolean(value) {
+    return typeof value === "boolean" ? null : "must be true or false";
+}
+
+/**
+ * The settings that can be configured, keyed by their name in configuration files.
+ * @type {{[name: string]: SettingDefinition}}
+ */
+const SETTINGS = {
+    changelogOutput: {arg: "changelog_output", default: constants.CHANGELOG_PATH, validate: nonEmptyString},
+    changelogTemplate: {arg: "changelog_template", default: constants.CHANGELOG_TEMPLATE_PATH, validate: nonEmptyString},
+    packageJson: {arg: "package_json", default: constants.PACKAGE_JSON_PATH, validate: nonEmptyString},
+    tagPrefix: {arg: "tag_prefix", default: undefined, validate: value => string(value) || (/^[a-zA-Z]*$/.test(value) ? null : "must only contain letters")},
+    tagTemplate: {arg: "tag_template", default: undefined, validate: tagTemplates.validateTagTemplate},
+    releaseBranchPrefixes: {arg: "release_branch_prefixes", default: releaseLines.DEFAULT_BRANCH_PREFIXES, validate: releaseLines.validateBranchPrefixes},
+    releaseLine: {arg: "release_line", default: undefined, validate: value => nonEmptyString(value) || (releaseLines.parseReleaseLine(value) ? null : "must be a version line such as 1.x or 1.2.x")},
+    remote: {arg: "remote", default: constants.DEFAULT_REMOTE, validate: nonEmptyString},
+    commitMessage: {arg: "commit_message", default: constants.COMMIT_MESSAGE_FORMAT, validate: value => nonEmptyString(value) || (value.includes("{version}") ? null : "must contain the {version} placeholder")},
+    format: {arg: "format", default: constants.OUTPUT_FORMATS.MARKDOWN, validate: value => Object.values(constants.OUTPUT_FORMATS).includes(value) ? null : `must be one of ${Object.values(constants.OUTPUT_FORMATS).join(", ")}`},
+    commitTypes: {arg: "commit_types", default: commitTypes.DEFAULT_COMMIT_TYPES, validate: commitTypes.validateCommitTypes, resolve: commitTypes.mergeCommitTypes},
+    hooks: {arg: "hooks", default: {}, validate: hooks.validateHooks},
+    versionFiles: {arg: "version_files", default: [], validate: versionFiles.validateVersionFiles},
+    issueTracker: {arg: "issue_tracker", default: undefined, validate: references.validateIssueTracker},
+    references: {arg: "references", default: [], validate: references.validateReferencePatterns},
+    mailmap: {arg: "mailmap", default: constants.MAILMAP_PATH, validate: nonEmptyString},
+    snapshotId: {arg: "snapshot_id", default: constants.DEFAULT_SNAPSHOT_ID, validate: value => nonEmptyString(value) || (/^[0-9A-Za-z-]+$/.test(value) ? null : "must only contain letters, digits and hyphens")},
+    annotatedTags: {arg: "annotated_tags", default: false, validate: boolean},
+    sign: {arg: "sign", default: false, validate: boolean},
+    publish: {arg: "publish", default: false, validate: boolean},
+    registry: {arg: "registry", default: undefined, validate: value => nonEmptyString(value) || (/^https?:\/\//.test(value) ? null : "must be an http(s) URL")},
+    distTags: {arg: "dist_tags", default: {}, validate: npmRegistry.validateDistTags},
+    checks: {arg: "checks", default: checks.DEFAULT_CHECKS, validate: checks.validateChecks, resolve: value => ({...checks.DEFAULT_CHECKS, ...value})}
+};
+
+/**
+ * Read a configuration file.
+ * @param {string} file - The path of the file, either JSON or a CommonJS module exporting the configuration.
+ * @returns {object} The configuration.
+ * @throws {Error} If the file cannot be read or parsed.
+ * @private
+ */
+function readConfigFile(file) {
+    try {
+        return file.endsWith(".js") ? require(path.resolve(file)) : JSON.parse(fs.readFileSync(file).toString());
+    } catch (error) {
+        throw new Error(`Unable to read the configuration file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Find and read the configuration.
+ * @param {string} [configFile] - The path of a configuration file to use instead of looking for one.
+ * @param {string} packageJsonPath - The path of the package.json that may hold the configuration.
+ * @returns {{source: string, config: object}|null} The configuration and where it was read from, or null if there is none.
+ */
+function loadConfig(configFile, packageJsonPath) {
+    if (configFile) {
+        return {source: configFile, config: readConfigFile(configFile)};
+    }
+
+    const rcFile = constants.CONFIG_FILES.find(file => fs.existsSync(file));
+    if (rcFile) {
+        return {source: rcFile, config: readConfigFile(rcFile)};
+    }
+
+    if (fs.existsSync(packageJsonPath)) {
+        const packageJson = readConfigFile(packageJsonPath);
+        if (packageJson[constants.PACKAGE_JSON_CONFIG_KEY] !== undefined) {
+            return {source: `${packageJsonPath} (${constants.PACKAGE_JSON_CONFIG_KEY})`, config: packageJson[constants.PACKAGE_JSON_CONFIG_KEY]};
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate a configuration against the known settings.
+ * @param {object} config - The configuration to validate.
+ * @param {string} source - Where the configuration was read from, used in error messages.
+ * @returns {void} Nothing.
+ * @throws {Error} Listing every unknown or invalid setting.
+ */
+function validateConfig(config, source) {
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new Error(`Invalid configuration in ${source}: it must be an object.`);
+    }
+
+    const errors = Object.entries(config).map(([name, value]) => {
+        const setting = SETTINGS[name];
+        if (!setting) {
+            return `unknown setting "${name}" (known settings: ${Object.keys(SETTINGS).join(", ")})`;
+        }
+        const error = setting.validate(value);
+        return error ? `"${name}" ${error}, got ${JSON.stringify(value)}` : null;
+    }).filter(error => error);
+
+    if (errors.length) {
+        throw new Error(`Invalid configuration in ${source}:\n - ${errors.join("\n - ")}`);
+    }
+}
+
+/**
+ * Turn settings named as in configuration files into the matching arguments.
+ * @param {object} settings - The settings, already validated.
+ * @returns {CommandLineArgs} The arguments set by the settings.
+ */
+function toArgs(settings) {
+    const args = {};
+    for (const [name, value] of Object.entries(settings)) {
+        const setting = SETTINGS[name];
+        args[setting.arg] = setting.resolve ? setting.resolve(value) : value;
+    }
+    return args;
+}
+
+/**
+ * Fill in the arguments not given on the command line, with the configuration first and the defaults then.
+ * @param {CommandLineArgs} args - Command line arguments, modified in place.
+ * @returns {CommandLineArgs} The same arguments.
+ * @throws {Error} If the configuration is invalid.
+ */
+function applyConfig(args) {
+    const loaded = loadConfig(args.config, args.package_json || constants.PACKAGE_JSON_PATH);
+    if (loaded) {
+        validateConfig(loaded.config, loaded.source);
+    }
+    const config = loaded ? loaded.config : {};
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (args[setting.arg] === undefined || args[setting.arg] === null) {
+            args[setting.arg] = config[name] === undefined ? setting.default : setting.resolve ? setting.resolve(config[name]) : config[name];
+        }
+    }
+    return args;
+}
+
+module.exports = {
+    SETTINGS,
+    loadConfig,
+    validateConfig,
+    toArgs,
+    applyConfig
+};
@@ -15,19 +15,35 @@
  * @property {string} MAJOR - Represents a major version increment.
  * @property {string} MINOR - Represents a minor version increment.
  * @property {string} PATCH - Represents a patch version increment.
+ * @property {string} PRERELEASE - Represents a pre-release increment (e.g. 1.4.0-beta.1 to 1.4.0-beta.2).
+ * @property {string} GRADUATE - Represents the release of a pre-release (e.g. 1.4.0-rc.3 to 1.4.0).
  */
 const RELEASE_TYPES = {
     MAJOR: "major",
     MINOR: "minor",
-    PATCH: "patch"
+    PATCH: "patch",
+    PRERELEASE: "prerelease",
+    GRADUATE: "graduate"
 };
 
 
 /**
- * Regular expression pattern for parsing SEMVER tags.
+ * Release type asking to infer the version increment from the commits since the current release.
+ * @type {string}
+ */
+const AUTO_RELEASE_TYPE = "auto";
+
+/**
+ * Regular expression pattern for parsing SEMVER tags, with optional pre-release and build metadata.
  * @type {RegExp}
  */
-const SEMVER_TAG_PATTERN = /(?<description>[a-zA-Z]*)(?<major>\d+)\.(?<minor>\d+).(?<patch>\d+)\s*/g;
+const SEMVER_TAG_PATTERN = /^(?<description>[a-zA-Z]*)(?<major>\d+)\.(?<minor>\d+)\.(?<patch>\d+)(?:-(?<prerelease>[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+(?<build>[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?\s*$/;
+
+/**
+ * Pre-release identifier of snapshot versions, e.g. 1.4.0-canary.5.g1a2b3c4.
+ * @type {string}
+ */
+const DEFAULT_SNAPSHOT_ID = "canary";
 
 /**
  * Default SEMVER version when no tags are available.
@@ -35,11 +51,132 @@ const SEMVER_TAG_PATTERN = /(?<description>[a-zA-Z]*)(?<major>\d+)\.(?<minor>\d+
  */
 const SEMVER_ZERO = "0.0.0";
 
+/**
+ * An object representing the formats release notes can be output in.
+ * @constant {object}
+ * @property {string} MARKDOWN - Markdown, rendered with the changelog template.
+ * @property {string} JSON - JSON, with commits grouped by type.
+ * @property {string} TEXT - Plain text.
+ */
+const OUTPUT_FORMATS = {
+    MARKDOWN: "markdown",
+    JSON: "json",
+    TEXT: "text"
+};
+
+/**
+ * Configuration files looked for in the current directory, in order of preference.
+ * @type {string[]}
+ */
+const CONFIG_FILES = [".jschangelogrc.json", ".jschangelogrc.js"];
+
+/**
+ * An object representing the events emitted by a Releaser, in the order a release emits them.
+ * @constant {object}
+ * @property {string} START - The release started.
+ * @property {string} VERSION - The new version is computed.
+ * @property {string} BUMP - The version is written to package.json.
+ * @property {string} CHANGELOG - The changelog is written.
+ * @property {string} COMMIT - The release commit is created.
+ * @property {string} TAG - The release commit is tagged.
+ * @property {string} PUBLISH - The released packages are published to the npm registry, if publishing is on.
+ * @property {string} PUSH - The release is pushed.
+ * @property {string} DONE - The release completed.
+ * @property {string} ROLLBACK - A release step failed and the release is being rolled back.
+ * @property {string} FAILED - The release failed.
+ */
+const RELEASE_EVENTS = {
+    START: "start",
+    VERSION: "version",
+    BUMP: "bump",
+    CHANGELOG: "changelog",
+    COMMIT: "commit",
+    TAG: "tag",
+    PUBLISH: "publish",
+    PUSH: "push",
+    DONE: "done",
+    ROLLBACK: "rollback",
+    FAILED: "failed"
+};
+
+/**
+ * An object representing the pre-release checks, in the order they run.
+ * @constant {object}
+ * @property {string} CLEAN - The working tree has no uncommitted changes.
+ * @property {string} BRANCH - HEAD is on a branch allowed to be released.
+ * @property {string} UPSTREAM - The branch tracks a branch of the remote and is in sync with it.
+ * @property {string} TAG - The new release tags do not exist yet.
+ * @property {string} COMMITS - There are commits since the last release.
+ * @property {string} PUBLISHED - The new versions are not published yet, when the release publishes them.
+ */
+const CHECK_NAMES = {
+    CLEAN: "clean",
+    BRANCH: "branch",
+    UPSTREAM: "upstream",
+    TAG: "tag",
+    COMMITS: "commits",
+    PUBLISHED: "published"
+};
+
+/**
+ * An object representing the outcomes of the verification of a release tag.
+ * @constant {object}
+ * @property {string} SIGNED - The tag has a good signature.
+ * @property {string} UNSIGNED - The tag is annotated but not signed.
+ * @property {string} LIGHTWEIGHT - The tag is a lightweight tag, which cannot be signed.
+ * @property {string} INVALID - The signature of the tag is bad or cannot be checked.
+ */
+const TAG_SIGNATURE_STATUSES = {
+    SIGNED: "signed",
+    UNSIGNED: "unsigned",
+    LIGHTWEIGHT: "lightweight",
+    INVALID: "invalid"
+};
+
+/**
+ * The comments marking the hand-written parts of the changelog kept when it is regenerated.
+ * The start marker may name the release the part belongs to, e.g. "<!-- js-changelog:preserve 1.2.0 -->".
+ * @constant {object}
+ * @property {string} START - The beginning of the start marker, followed by the optional release and "-->".
+ * @property {string} END - The end marker.
+ */
+const PRESERVE_MARKERS = {
+    START: "<!-- js-changelog:preserve",
+    END: "<!-- js-changelog:end-preserve -->"
+};
+
+/**
+ * An object representing the exit codes of the command line tool, which scripts can test.
+ * @constant {object}
+ * @property {number} SUCCESS - The command succeeded.
+ * @property {number} NEGATIVE - The query answered no: no changes since a release, or an invalid commit message.
+ * @property {number} ERROR - The command failed, for instance because a release does not exist.
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    NEGATIVE: 1,
+    ERROR: 2
+};
+
 module.exports = {
     CHANGELOG_PATH: "./CHANGELOG.md",
     CHANGELOG_TEMPLATE_PATH: "./node_modules/@cionzo/js-changelog/configs/changelog-template.hbs",
     PACKAGE_JSON_PATH: "./package.json",
+    MAILMAP_PATH: "./.mailmap",
+    RELEASE_JOURNAL_FILE: "js-changelog-release.json",
+    CONFIG_FILES,
+    OUTPUT_FORMATS,
+    RELEASE_EVENTS,
+    CHECK_NAMES,
+    TAG_SIGNATURE_STATUSES,
+    PRESERVE_MARKERS,
+    EXIT_CODES,
+    PACKAGE_JSON_CONFIG_KEY: "js-changelog",
+    DEFAULT_REMOTE: "origin",
+    COMMIT_MESSAGE_FORMAT: "version bump: {version}",
     RELEASE_TYPES,
+    AUTO_RELEASE_TYPE,
+    DEFAULT_SNAPSHOT_ID,
     SEMVER_ZERO,
     SEMVER_TAG_PATTERN
 }
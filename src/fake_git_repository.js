@@ -0,0 +1,445 @@
+/**
+ * This module provides an in-memory git repository with the interface of GitRepository, for unit tests.
+ * History is linear: commits are added with addCommit, the working tree is simulated with modify,
+ * and every mutating call is recorded in the operations array.
+ * @module src/fake_git_repository
+ * @project js-changelog
+ */
+"use strict"
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const constants = require("./constants");
+const {GitError, GitRepository} = require("./git_repository");
+const {GitUpstream, TagSignature} = require("./type_definitions");
+
+/**
+ * The pretty format placeholders supported by the fake log, with the commit field they expand to.
+ * @type {object}
+ */
+const FORMAT_PLACEHOLDERS = {
+    "%H": commit => commit.sha,
+    "%h": commit => commit.sha.slice(0, 7),
+    "%an": commit => commit.author,
+    "%ae": commit => commit.email,
+    "%aI": commit => commit.date,
+    "%cI": commit => commit.date,
+    "%s": commit => commit.message.split("\n")[0],
+    "%b": commit => commit.message.split("\n").slice(1).join("\n").replace(/^\n/, "") + "\n",
+    "%B": commit => commit.message + "\n",
+    "%n": () => "\n",
+    "%x1e": () => "\x1e",
+    "%x1f": () => "\x1f"
+};
+
+/**
+ * Pattern of the placeholders of a pretty format, longest first.
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /%(?:x1e|x1f|an|ae|aI|cI|[HhsbBn])/g;
+
+/**
+ * An in-memory git repository.
+ * @example
+ * const {FakeGitRepository} = require("@cionzo/js-changelog/src/fake_git_repository");
+ * const git = new FakeGitRepository();
+ * git.addCommit("initial commit");
+ * git.addTag("1.0.0");
+ * git.addCommit("feat: a feature", {files: ["src/a.js"]});
+ * const result = await new Releaser({git}).release({type: "auto", dryRun: true});
+ */
+class FakeGitRepository extends GitRepository {
+
+    /**
+     * Create an empty repository on a branch tracking the same branch of a remote.
+     * @param {object} [options] - The repository options.
+     * @param {string} [options.branch] - The current branch (defaults to "main").
+     * @param {string} [options.remote] - The remote of the branch (defaults to "origin"), null for no upstream.
+     * @param {string} [options.remoteUrl] - The URL of the remote.
+     */
+    constructor(options = {}) {
+        super();
+        this.branch = options.branch === undefined ? "main" : options.branch;
+        this.remote = options.remote === undefined ? "origin" : options.remote;
+        this.config = options.remoteUrl ? {[`remote.${this.remote}.url`]: options.remoteUrl} : {};
+        this.commits = [];
+        this.tagMap = {};
+        this.annotations = {};
+        this.remoteHeads = {};
+        this.staged = new Set();
+        this.changed = new Set();
+        this.operations = [];
+        this.gitDir = null;
+    }
+
+    /**
+     * Add a commit to the history, as if it had been made and pushed before the test.
+     * @param {string} message - The whole commit message.
+     * @param {object} [options] - The commit options.
+     * @param {string[]} [options.files] - The files changed by the commit.
+     * @param {string} [options.author] - The author name.
+     * @param {string} [options.date] - The date in ISO format (defaults to one day after the previous commit).
+     * @param {boolean} [options.pushed] - Indicates whether the remote branch is moved to the commit (defaults to true).
+     * @param {string} [options.patchId] - The patch ID of the commit: commits making the same changes share it.
+     * @returns {string} The SHA of the commit.
+     */
+    addCommit(message, options = {}) {
+        const previous = this.commits[this.commits.length - 1];
+        const date = options.date || new Date(previous ? Date.parse(previous.date) + 86400000 : Date.UTC(2024, 0, 1)).toISOString();
+        const sha = crypto.createHash("sha1").update(`${this.commits.length}\0${message}\0${date}`).digest("hex");
+        this.commits.push({sha, message: message.trim(), author: options.author || "Test Author", email: "test@example.com", date, files: options.files || [], patchId: options.patchId || null});
+        if (options.pushed !== false && this.remote) {
+            this.remoteHeads[`${this.remote}/${this.branch}`] = sha;
+        }
+        return sha;
+    }
+
+    /**
+     * Add a tag to the history, as if it had been created before the test.
+     * @param {string} name - The tag name.
+     * @param {string} [revision] - The tagged revision (defaults to HEAD).
+     * @param {object} [options] - The tag options.
+     * @param {string} [options.message] - The message of an annotated tag; the tag is lightweight if unset.
+     * @param {boolean} [options.sign] - Indicates whether the tag has a good signature.
+     * @returns {void} Nothing.
+     */
+    addTag(name, revision = "HEAD", options = {}) {
+        this.tagMap[name] = this.resolve(revision);
+        if (options.message !== undefined || options.sign) {
+            this.annotations[name] = {message: options.message === undefined ? name : options.message, signed: Boolean(options.sign)};
+        }
+    }
+
+    /**
+     * Mark files as changed in the working tree.
+     * @param {string[]} paths - The paths of the files.
+     * @returns {void} Nothing.
+     */
+    modify(paths) {
+        paths.forEach(file => this.changed.add(file));
+    }
+
+    /**
+     * Get the index of the commit a revision points to.
+     * @param {string} revision - A SHA, a tag, a remote branch (such as "origin/main") or "HEAD".
+     * @returns {number} The index of the commit in the history.
+     * @throws {GitError} If the revision is unknown.
+     * @private
+     */
+    indexOf(revision) {
+        let sha = revision;
+        if (revision === "HEAD") {
+            sha = this.commits.length ? this.commits[this.commits.length - 1].sha : null;
+        } else if (this.tagMap[revision]) {
+            sha = this.tagMap[revision];
+        } else if (this.remoteHeads[revision.replace(/^refs\/remotes\//, "")]) {
+            sha = this.remoteHeads[revision.replace(/^refs\/remotes\//, "")];
+        }
+        const index = this.commits.findIndex(commit => commit.sha === sha || (revision.length >= 7 && commit.sha.startsWith(revision)));
+        if (index < 0) {
+            throw new GitError(`fatal: bad revision '${revision}'`, ["rev-parse", revision], 128, `fatal: bad revision '${revision}'`);
+        }
+        return index;
+    }
+
+    /**
+     * Resolve a revision to a commit SHA.
+     * @param {string} revision - The revision.
+     * @returns {string} The SHA.
+     * @private
+     */
+    resolve(revision) {
+        return this.commits[this.indexOf(revision)].sha;
+    }
+
+    /**
+     * Reject raw git commands, which the fake cannot run.
+     * @param {string[]} args - The arguments.
+     * @returns {Promise<string>} A promise that never resolves.
+     * @throws {GitError} Always.
+     */
+    async run(args) {
+        throw new GitError(`FakeGitRepository cannot run git ${args.join(" ")}.`, args, null, "");
+    }
+
+    /**
+     * Check whether git can be run.
+     * @returns {Promise<boolean>} A promise that resolves to true.
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Get the name of the current branch.
+     * @returns {Promise<string|null>} A promise that resolves to the branch name, or null if HEAD is detached.
+     */
+    async currentBranch() {
+        return this.branch;
+    }
+
+    /**
+     * Get the upstream of a branch.
+     * @param {string} branch - The local branch.
+     * @returns {Promise<GitUpstream|null>} A promise that resolves to the upstream, or null if the branch has none.
+     */
+    async upstream(branch) {
+        return this.remote && branch === this.branch ? {remote: this.remote, branch} : null;
+    }
+
+    /**
+     * Resolve a revision to a commit SHA.
+     * @param {string} revision - The revision.
+     * @returns {Promise<string>} A promise that resolves to the SHA.
+     */
+    async revParse(revision) {
+        return this.resolve(revision);
+    }
+
+    /**
+     * Check whether a commit is an ancestor of another one; the history of the fake is linear.
+     * @param {string} ancestor - The revision of the candidate ancestor.
+     * @param {string} revision - The revision of the descendant.
+     * @returns {Promise<boolean>} A promise that resolves to true if the ancestor comes first in the history.
+     */
+    async isAncestor(ancestor, revision) {
+        return this.indexOf(ancestor) <= this.indexOf(revision);
+    }
+
+    /**
+     * Get the committer date of a revision.
+     * @param {string} revision - The revision.
+     * @returns {Promise<string>} A promise that resolves to the date in ISO format.
+     */
+    async commitDate(revision) {
+        return this.commits[this.indexOf(revision)].date;
+    }
+
+    /**
+     * List the tags of the repository.
+     * @param {string} [pattern] - A glob pattern the tags must match, where only "*" is special.
+     * @returns {Promise<string[]>} A promise that resolves to the tag names, sorted by name.
+     */
+    async tags(pattern) {
+        const regex = pattern ? new RegExp(`^${pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`) : null;
+        return Object.keys(this.tagMap).filter(tag => !regex || regex.test(tag)).sort();
+    }
+
+    /**
+     * Get the log of a revision range.
+     * @param {string} range - The revision range, either "from..to" or a single revision.
+     * @param {object} [options] - The log options.
+     * @param {string} [options.format] - The pretty format of each commit, among the FORMAT_PLACEHOLDERS.
+     * @param {string} [options.path] - If set, only the commits changing this path are listed.
+     * @param {boolean} [options.reverse] - Indicates whether to list the oldest commits first.
+     * @returns {Promise<string>} A promise that resolves to the formatted log.
+     */
+    async log(range, options = {}) {
+        const [from, to] = range.includes("..") ? range.split("..") : [null, range];
+        const start = from ? this.indexOf(from) + 1 : 0;
+        const prefix = options.path ? options.path.replace(/^\.\//, "").replace(/\/?$/, "/") : null;
+        let commits = this.commits.slice(start, this.indexOf(to || "HEAD") + 1)
+            .filter(commit => !prefix || prefix === "/" || commit.files.some(file => `${file}/`.startsWith(prefix)));
+        if (!options.reverse) {
+            commits = commits.reverse();
+        }
+
+        const format = options.format || "%H%n%n%B";
+        return commits.map(commit => format.replace(PLACEHOLDER_PATTERN, placeholder => FORMAT_PLACEHOLDERS[placeholder](commit)) + "\n").join("");
+    }
+
+    /**
+     * Get the patch IDs of the commits of a revision range, as given to addCommit.
+     * @param {string} range - The revision range, either "from..to" or a single revision.
+     * @returns {Promise<object>} A promise that resolves to the patch IDs, keyed by commit SHA.
+     */
+    async patchIds(range) {
+        const [from, to] = range.includes("..") ? range.split("..") : [null, range];
+        return Object.fromEntries(this.commits.slice(from ? this.indexOf(from) + 1 : 0, this.indexOf(to || "HEAD") + 1)
+            .filter(commit => commit.patchId)
+            .map(commit => [commit.sha, commit.patchId]));
+    }
+
+    /**
+     * Tag a commit.
+     * @param {string} name - The tag name.
+     * @param {object} [options] - The tag options.
+     * @param {string} [options.revision] - The tagged revision (defaults to HEAD).
+     * @param {string} [options.message] - The message of an annotated tag; the tag is lightweight if unset.
+     * @param {boolean} [options.sign] - Indicates whether to sign the tag.
+     * @returns {Promise<void>} A promise that resolves when the tag is created.
+     * @throws {GitError} If the tag already exists.
+     */
+    async tag(name, options = {}) {
+        if (this.tagMap[name]) {
+            throw new GitError(`fatal: tag '${name}' already exists`, ["tag", name], 128, `fatal: tag '${name}' already exists`);
+        }
+        this.addTag(name, options.revision || "HEAD", options);
+        this.operations.push({operation: "tag", name, ...options});
+    }
+
+    /**
+     * Verify the signature of a tag: tags created with the sign option have a good signature.
+     * @param {string} name - The tag name.
+     * @returns {Promise<TagSignature>} A promise that resolves to the outcome of the verification.
+     * @throws {GitError} If the tag does not exist.
+     */
+    async verifyTag(name) {
+        if (!this.tagMap[name]) {
+            throw new GitError(`fatal: tag '${name}' not found`, ["cat-file", "-t", `refs/tags/${name}`], 128, `fatal: tag '${name}' not found`);
+        }
+        const annotation = this.annotations[name];
+        if (!annotation) {
+            return {tag: name, status: constants.TAG_SIGNATURE_STATUSES.LIGHTWEIGHT, message: "lightweight tag"};
+        }
+        return annotation.signed
+            ? {tag: name, status: constants.TAG_SIGNATURE_STATUSES.SIGNED, message: "good signature"}
+            : {tag: name, status: constants.TAG_SIGNATURE_STATUSES.UNSIGNED, message: "annotated tag without signature"};
+    }
+
+    /**
+     * Delete a tag.
+     * @param {string} name - The tag name.
+     * @returns {Promise<void>} A promise that resolves when the tag is deleted.
+     */
+    async deleteTag(name) {
+        delete this.tagMap[name];
+        delete this.annotations[name];
+        this.operations.push({operation: "deleteTag", name});
+    }
+
+    /**
+     * Stage files.
+     * @param {string[]} paths - The paths of the files.
+     * @returns {Promise<void>} A promise that resolves when the files are staged.
+     */
+    async add(paths) {
+        for (const file of paths) {
+            this.changed.delete(file);
+            this.staged.add(file);
+        }
+        this.operations.push({operation: "add", paths});
+    }
+
+    /**
+     * Commit the staged changes.
+     * @param {string|null} message - The commit message, null to keep the message of an amended commit.
+     * @param {object} [options] - The commit options.
+     * @param {boolean} [options.amend] - Indicates whether to amend the last commit.
+     * @param {boolean} [options.sign] - Indicates whether to sign the commit.
+     * @returns {Promise<string>} A promise that resolves to the SHA of the new commit.
+     */
+    async commit(message, options = {}) {
+        let files = [...this.staged];
+        let commitMessage = message;
+        if (options.amend) {
+            const amended = this.commits.pop();
+            files = [...new Set([...amended.files, ...files])];
+            commitMessage = message === null ? amended.message : message;
+        }
+        this.staged.clear();
+        this.operations.push({operation: "commit", message: commitMessage, files, amend: Boolean(options.amend), sign: Boolean(options.sign)});
+        return this.addCommit(commitMessage, {files, date: new Date().toISOString(), pushed: false});
+    }
+
+    /**
+     * Push the current branch to a remote.
+     * @param {string} remote - The remote.
+     * @param {string[]} [refs] - The refs to push.
+     * @returns {Promise<void>} A promise that resolves when the branch is pushed.
+     */
+    async push(remote, refs = []) {
+        this.remoteHeads[`${remote}/${this.branch}`] = this.resolve("HEAD");
+        this.operations.push({operation: "push", remote, refs});
+    }
+
+    /**
+     * Fetch a branch from a remote, which changes nothing in memory.
+     * @returns {Promise<void>} A promise that resolves immediately.
+     */
+    async fetch() {
+        // The remote heads are set by addCommit and push.
+    }
+
+    /**
+     * Reset the current branch to a revision.
+     * @param {string} revision - The revision.
+     * @param {string} [mode] - The reset mode: "soft", "mixed" or "hard".
+     * @returns {Promise<void>} A promise that resolves when the branch is reset.
+     */
+    async reset(revision, mode = "mixed") {
+        const index = this.indexOf(revision);
+        const files = this.commits.splice(index + 1).flatMap(commit => commit.files);
+        if (mode === "soft") {
+            files.forEach(file => this.staged.add(file));
+        } else {
+            [...files, ...this.staged].forEach(file => (mode === "mixed" ? this.changed.add(file) : this.changed.delete(file)));
+            this.staged.clear();
+        }
+        this.operations.push({operation: "reset", revision, mode});
+    }
+
+    /**
+     * Restore files to their content at a revision, which discards their staged and unstaged changes.
+     * @param {string} revision - The revision.
+     * @param {string[]} paths - The paths of the files.
+     * @returns {Promise<void>} A promise that resolves when the files are restored.
+     */
+    async restore(revision, paths) {
+        for (const file of paths) {
+            this.staged.delete(file);
+            this.changed.delete(file);
+        }
+        this.operations.push({operation: "restore", revision, paths});
+    }
+
+    /**
+     * Read a configuration value.
+     * @param {string} key - The configuration key.
+     * @returns {Promise<string|null>} A promise that resolves to the value, or null if it is not set.
+     */
+    async getConfig(key) {
+        return this.config[key] === undefined ? null : this.config[key];
+    }
+
+    /**
+     * Get the path of a file inside the git directory, a temporary directory created on first use.
+     * @param {string} name - The name of the file.
+     * @returns {Promise<string>} A promise that resolves to the path.
+     */
+    async gitPath(name) {
+        this.gitDir = this.gitDir || fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-fake-git-"));
+        return path.join(this.gitDir, name);
+    }
+
+    /**
+     * List the files with staged or unstaged changes.
+     * @returns {Promise<string[]>} A promise that resolves to the paths of the changed files.
+     */
+    async uncommittedFiles() {
+        return [...new Set([...this.staged, ...this.changed])];
+    }
+
+    /**
+     * List the files changed in the working tree and not staged.
+     * @returns {Promise<string[]>} A promise that resolves to the paths of the changed files.
+     */
+    async changedFiles() {
+        return [...this.changed];
+    }
+
+    /**
+     * Check whether a file is tracked: a commit or the staging area has it.
+     * @param {string} file - The path of the file.
+     * @returns {Promise<boolean>} A promise that resolves to true if the file is tracked.
+     */
+    async isTracked(file) {
+        return this.staged.has(file) || this.commits.some(commit => commit.files.includes(file));
+    }
+}
+
+module.exports = {
+    FakeGitRepository
+};
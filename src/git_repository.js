@@ -0,0 +1,484 @@
+/**
+ * This module runs git through argument arrays instead of shell strings, so that paths, tags and messages
+ * are never interpreted by a shell, and turns git failures into GitError instances.
+ *
+ * Modules receive the repository through the git argument (or a trailing parameter) and fall back to
+ * the repository of the current directory, so that a FakeGitRepository can replace it in unit tests.
+ * @module src/git_repository
+ * @project js-changelog
+ */
+"use strict"
+
+const {promisify} = require("util");
+const {spawn} = require("child_process");
+const execFile = promisify(require("child_process").execFile);
+const constants = require("./constants");
+const {CommandLineArgs, GitUpstream, TagSignature} = require("./type_definitions");
+
+/**
+ * The largest output read from a git command, in bytes.
+ * @type {number}
+ */
+const MAX_OUTPUT_SIZE = 64 * 1024 * 1024;
+
+/**
+ * An error raised by a failing git command.
+ */
+class GitError extends Error {
+
+    /**
+     * Create a git error.
+     * @param {string} message - The error message.
+     * @param {string[]} args - The arguments git was run with.
+     * @param {number|null} exitCode - The exit code of git, null if it could not be run.
+     * @param {string} stderr - The standard error of git.
+     */
+    constructor(message, args, exitCode, stderr) {
+        super(message);
+        this.name = "GitError";
+        this.args = args;
+        this.exitCode = exitCode;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Wait for a git process to exit, collecting its output.
+ * @param {object} child - The process, spawned with piped standard output and error.
+ * @param {string[]} args - The arguments git was run with.
+ * @returns {Promise<string>} A promise that resolves to the standard output of git.
+ * @throws {GitError} If git cannot be run or exits with an error.
+ * @private
+ */
+function waitForExit(child, args) {
+    return new Promise((resolve, reject) => {
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on("data", chunk => stdout.push(chunk));
+        child.stderr.on("data", chunk => stderr.push(chunk));
+        child.on("error", error => reject(error.code === "ENOENT"
+            ? new GitError("Git command is unavailable. Please install Git or add it to your PATH.", args, null, "")
+            : new GitError(`git ${args.join(" ")} failed: ${error.message}`, args, null, "")));
+        child.on("close", code => {
+            const error = Buffer.concat(stderr).toString().trim();
+            if (code === 0) {
+                resolve(Buffer.concat(stdout).toString());
+            } else {
+                reject(new GitError(`git ${args.join(" ")} failed${error ? `: ${error}` : "."}`, args, code, error));
+            }
+        });
+    });
+}
+
+/**
+ * A git repository, operated by running the git executable.
+ */
+class GitRepository {
+
+    /**
+     * Create a repository.
+     * @param {object} [options] - The repository options.
+     * @param {string} [options.cwd] - The directory of the repository (defaults to the current directory).
+     * @param {string} [options.binary] - The git executable (defaults to "git").
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd;
+        this.binary = options.binary || "git";
+    }
+
+    /**
+     * Run git with some arguments.
+     * @param {string[]} args - The arguments.
+     * @param {object} [options] - The run options.
+     * @param {string} [options.input] - The text written to the standard input of git.
+     * @returns {Promise<string>} A promise that resolves to the standard output of git.
+     * @throws {GitError} If git cannot be run or exits with an error.
+     */
+    async run(args, options = {}) {
+        try {
+            const promise = execFile(this.binary, args, {cwd: this.cwd, maxBuffer: MAX_OUTPUT_SIZE});
+            if (options.input !== undefined) {
+                promise.child.stdin.end(options.input);
+            }
+            const {stdout} = await promise;
+            return stdout;
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                throw new GitError("Git command is unavailable. Please install Git or add it to your PATH.", args, null, "");
+            }
+            const stderr = (error.stderr || "").trim();
+            throw new GitError(`git ${args.join(" ")} failed${stderr ? `: ${stderr}` : "."}`, args, typeof error.code === "number" ? error.code : null, stderr);
+        }
+    }
+
+    /**
+     * Check whether git can be run.
+     * @returns {Promise<boolean>} A promise that resolves to true if git is available.
+     */
+    async isAvailable() {
+        try {
+            await this.run(["--version"]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the name of the current branch.
+     * @returns {Promise<string|null>} A promise that resolves to the branch name, or null if HEAD is detached.
+     */
+    async currentBranch() {
+        try {
+            return (await this.run(["symbolic-ref", "--quiet", "--short", "HEAD"])).trim();
+        } catch (error) {
+            if (error.exitCode === 1) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get the upstream of a branch.
+     * @param {string} branch - The local branch.
+     * @returns {Promise<GitUpstream|null>} A promise that resolves to the upstream, or null if the branch has none.
+     */
+    async upstream(branch) {
+        const remote = await this.getConfig(`branch.${branch}.remote`);
+        const merge = await this.getConfig(`branch.${branch}.merge`);
+        return remote && merge ? {remote, branch: merge.replace(/^refs\/heads\//, "")} : null;
+    }
+
+    /**
+     * Resolve a revision to a commit SHA.
+     * @param {string} revision - The revision, such as "HEAD" or a tag.
+     * @returns {Promise<string>} A promise that resolves to the SHA.
+     */
+    async revParse(revision) {
+        return (await this.run(["rev-parse", "--verify", "--end-of-options", `${revision}^{commit}`])).trim();
+    }
+
+    /**
+     * Check whether a commit is an ancestor of another one, or the same commit.
+     * @param {string} ancestor - The revision of the candidate ancestor.
+     * @param {string} revision - The revision of the descendant.
+     * @returns {Promise<boolean>} A promise that resolves to true if the ancestor is reachable from the revision.
+     */
+    async isAncestor(ancestor, revision) {
+        try {
+            await this.run(["merge-base", "--is-ancestor", "--end-of-options", ancestor, revision]);
+            return true;
+        } catch (error) {
+            if (error.exitCode === 1) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get the committer date of a revision.
+     * @param {string} revision - The revision, such as a tag.
+     * @returns {Promise<string>} A promise that resolves to the date in ISO format.
+     */
+    async commitDate(revision) {
+        return (await this.run(["log", "-1", "--format=%cI", "--end-of-options", revision, "--"])).trim();
+    }
+
+    /**
+     * List the tags of the repository.
+     * @param {string} [pattern] - A glob pattern the tags must match.
+     * @returns {Promise<string[]>} A promise that resolves to the tag names.
+     */
+    async tags(pattern) {
+        const output = await this.run(["tag", "--list", ...(pattern ? [pattern] : [])]);
+        return output.split("\n").map(tag => tag.trim()).filter(tag => tag);
+    }
+
+    /**
+     * Get the log of a revision range.
+     * @param {string} range - The revision range, such as "1.2.0..HEAD".
+     * @param {object} [options] - The log options.
+     * @param {string} [options.format] - The pretty format of each commit.
+     * @param {string} [options.path] - If set, only the commits changing this path are listed.
+     * @param {boolean} [options.reverse] - Indicates whether to list the oldest commits first.
+     * @returns {Promise<string>} A promise that resolves to the formatted log.
+     */
+    async log(range, options = {}) {
+        return this.run([
+            "log",
+            ...(options.reverse ? ["--reverse"] : []),
+            ...(options.format ? [`--format=${options.format}`] : []),
+            // The range may come from the command line: it must not be read as an option, like --output.
+            "--end-of-options",
+            range,
+            "--",
+            ...(options.path ? [options.path] : [])
+        ]);
+    }
+
+    /**
+     * Get the patch IDs of the commits of a revision range, which are equal for commits making the same changes,
+     * such as a commit and its cherry-picks. Commits without changes, like merges, have none.
+     * @param {string} range - The revision range, such as "HEAD".
+     * @returns {Promise<object>} A promise that resolves to the patch IDs, keyed by commit SHA.
+     */
+    async patchIds(range) {
+        // The patches are streamed into git patch-id, since they can be far larger than the output read from git.
+        const logArgs = ["log", "--patch", "--no-color", "--no-ext-diff", "--format=commit %H", "--end-of-options", range, "--"];
+        const patchIdArgs = ["patch-id", "--stable"];
+        const log = spawn(this.binary, logArgs, {cwd: this.cwd, stdio: ["ignore", "pipe", "pipe"]});
+        const patchId = spawn(this.binary, patchIdArgs, {cwd: this.cwd, stdio: ["pipe", "pipe", "pipe"]});
+        // A failing patch-id closes its input early: the failure is reported by its exit code.
+        patchId.stdin.on("error", () => undefined);
+        log.stdout.pipe(patchId.stdin);
+        const [, output] = await Promise.all([waitForExit(log, logArgs), waitForExit(patchId, patchIdArgs)]);
+        return Object.fromEntries(output.split("\n").filter(line => line.trim()).map(line => line.trim().split(" ").reverse()));
+    }
+
+    /**
+     * Tag a commit.
+     * @param {string} name - The tag name.
+     * @param {object} [options] - The tag options.
+     * @param {string} [options.revision] - The tagged revision (defaults to HEAD).
+     * @param {string} [options.message] - The message of an annotated tag; the tag is lightweight if unset.
+     * @param {boolean} [options.sign] - Indicates whether to sign the tag with the configured key.
+     * @returns {Promise<void>} A promise that resolves when the tag is created.
+     */
+    async tag(name, options = {}) {
+        await this.run(getTagArgs(name, options));
+    }
+
+    /**
+     * Verify the signature of a tag.
+     * @param {string} name - The tag name.
+     * @returns {Promise<TagSignature>} A promise that resolves to the outcome of the verification.
+     */
+    async verifyTag(name) {
+        const type = (await this.run(["cat-file", "-t", `refs/tags/${name}`])).trim();
+        if (type !== "tag") {
+            return {tag: name, status: constants.TAG_SIGNATURE_STATUSES.LIGHTWEIGHT, message: "lightweight tag"};
+        }
+        try {
+            await this.run(["verify-tag", "--end-of-options", name]);
+            return {tag: name, status: constants.TAG_SIGNATURE_STATUSES.SIGNED, message: "good signature"};
+        } catch (error) {
+            if (!(error instanceof GitError) || error.exitCode === null) {
+                throw error;
+            }
+            if (/no signature found/i.test(error.stderr)) {
+                return {tag: name, status: constants.TAG_SIGNATURE_STATUSES.UNSIGNED, message: "annotated tag without signature"};
+            }
+            // Keep the last line of the gpg or ssh-keygen output, which tells why the signature was rejected.
+            const lines = error.stderr.split("\n").map(line => line.replace(/^(gpg|error): /, "").trim()).filter(line => line);
+            return {tag: name, status: constants.TAG_SIGNATURE_STATUSES.INVALID, message: lines.length ? lines[lines.length - 1] : "bad signature"};
+        }
+    }
+
+    /**
+     * Delete a tag.
+     * @param {string} name - The tag name.
+     * @returns {Promise<void>} A promise that resolves when the tag is deleted.
+     */
+    async deleteTag(name) {
+        await this.run(["tag", "--delete", name]);
+    }
+
+    /**
+     * Stage files.
+     * @param {string[]} paths - The paths of the files.
+     * @param {object} [options] - The staging options.
+     * @param {boolean} [options.all] - Indicates whether to stage deletions as well.
+     * @returns {Promise<void>} A promise that resolves when the files are staged.
+     */
+    async add(paths, options = {}) {
+        await this.run(["add", ...(options.all ? ["--all"] : []), "--", ...paths]);
+    }
+
+    /**
+     * Commit the staged changes.
+     * @param {string|null} message - The commit message, null to keep the message of an amended commit.
+     * @param {object} [options] - The commit options.
+     * @param {boolean} [options.amend] - Indicates whether to amend the last commit.
+     * @param {boolean} [options.sign] - Indicates whether to sign the commit with the configured key.
+     * @returns {Promise<string>} A promise that resolves to the SHA of the new commit.
+     */
+    async commit(message, options = {}) {
+        await this.run(getCommitArgs(message, options));
+        return this.revParse("HEAD");
+    }
+
+    /**
+     * Push to a remote.
+     * @param {string} remote - The remote.
+     * @param {string[]} [refs] - The refs to push (defaults to the configured push behaviour).
+     * @returns {Promise<void>} A promise that resolves when the refs are pushed.
+     */
+    async push(remote, refs = []) {
+        await this.run(["push", remote, ...refs]);
+    }
+
+    /**
+     * Fetch a branch from a remote.
+     * @param {string} remote - The remote.
+     * @param {string} branch - The remote branch.
+     * @returns {Promise<void>} A promise that resolves when the branch is fetched.
+     */
+    async fetch(remote, branch) {
+        await this.run(["fetch", remote, branch]);
+    }
+
+    /**
+     * Reset the current branch to a revision.
+     * @param {string} revision - The revision.
+     * @param {string} [mode] - The reset mode: "soft", "mixed" or "hard".
+     * @returns {Promise<void>} A promise that resolves when the branch is reset.
+     */
+    async reset(revision, mode = "mixed") {
+        await this.run(["reset", `--${mode}`, revision, "--"]);
+    }
+
+    /**
+     * Restore files, in the index and in the working tree, to their content at a revision. The files the revision
+     * does not have are removed.
+     * @param {string} revision - The revision.
+     * @param {string[]} paths - The paths of the files.
+     * @returns {Promise<void>} A promise that resolves when the files are restored.
+     */
+    async restore(revision, paths) {
+        const tracked = (await this.run(["ls-tree", "-r", "--name-only", "-z", revision, "--", ...paths])).split("\0").filter(file => file);
+        if (tracked.length) {
+            await this.run(["checkout", revision, "--", ...tracked]);
+        }
+        const added = paths.filter(file => !tracked.includes(file));
+        if (added.length) {
+            await this.run(["rm", "--cached", "--quiet", "--ignore-unmatch", "--", ...added]);
+            await this.run(["clean", "--force", "--quiet", "--", ...added]);
+        }
+    }
+
+    /**
+     * Read a configuration value.
+     * @param {string} key - The configuration key.
+     * @returns {Promise<string|null>} A promise that resolves to the value, or null if it is not set.
+     */
+    async getConfig(key) {
+        try {
+            return (await this.run(["config", "--get", key])).trim();
+        } catch (error) {
+            if (error.exitCode === 1) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get the path of a file inside the git directory.
+     * @param {string} name - The name of the file.
+     * @returns {Promise<string>} A promise that resolves to the path.
+     */
+    async gitPath(name) {
+        return (await this.run(["rev-parse", "--git-path", name])).trim();
+    }
+
+    /**
+     * List the tracked files with staged or unstaged changes.
+     * @returns {Promise<string[]>} A promise that resolves to the paths of the changed files.
+     */
+    async uncommittedFiles() {
+        const output = await this.run(["status", "--porcelain", "--untracked-files=no", "-z"]);
+        // Each entry is "XY path"; renames are followed by an extra entry holding the original path.
+        const entries = output.split("\0").filter(entry => entry);
+        const files = [];
+        for (let index = 0; index < entries.length; index++) {
+            files.push(entries[index].slice(3));
+            if (/^[RC]/.test(entries[index])) {
+                index++;
+            }
+        }
+        return files;
+    }
+
+    /**
+     * List the files changed in the working tree and not staged: modified, deleted and untracked (not ignored) files.
+     * @returns {Promise<string[]>} A promise that resolves to the paths of the changed files.
+     */
+    async changedFiles() {
+        const output = await this.run(["ls-files", "--modified", "--deleted", "--others", "--exclude-standard", "-z"]);
+        return [...new Set(output.split("\0").filter(file => file))];
+    }
+
+    /**
+     * Check whether git tracks a file.
+     * @param {string} file - The path of the file.
+     * @returns {Promise<boolean>} A promise that resolves to true if the file is in the index.
+     */
+    async isTracked(file) {
+        return (await this.run(["ls-files", "-z", "--", file])) !== "";
+    }
+}
+
+/**
+ * Get the arguments of git tag.
+ * Annotated tags keep their message verbatim apart from whitespace, so that markdown headings are not
+ * stripped as comments; signed tags are always annotated and default their message to the tag name.
+ * @param {string} name - The tag name.
+ * @param {object} [options] - The tag options, as for GitRepository.tag.
+ * @returns {string[]} The arguments.
+ */
+function getTagArgs(name, options = {}) {
+    const message = options.message === undefined && options.sign ? name : options.message;
+    const annotation = message === undefined ? [] : [options.sign ? "--sign" : "--annotate", "--cleanup=whitespace", "--message", message];
+    return ["tag", ...annotation, name, ...(options.revision ? [options.revision] : [])];
+}
+
+/**
+ * Get the arguments of git commit.
+ * @param {string|null} message - The commit message, null to keep the message of an amended commit.
+ * @param {object} [options] - The commit options, as for GitRepository.commit.
+ * @returns {string[]} The arguments.
+ */
+function getCommitArgs(message, options = {}) {
+    return [
+        "commit",
+        ...(options.amend ? ["--amend"] : []),
+        ...(options.sign ? ["--gpg-sign"] : []),
+        ...(message === null ? ["--no-edit"] : ["--message", message])
+    ];
+}
+
+/**
+ * Format git arguments as a shell command, for display only.
+ * @param {string[]} args - The arguments.
+ * @returns {string} The command, with the arguments that need it single-quoted.
+ */
+function formatCommand(args) {
+    return ["git", ...args].map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replaceAll("'", "'\\''")}'`).join(" ");
+}
+
+/**
+ * The repository of the current directory.
+ * @type {GitRepository}
+ */
+const DEFAULT_REPOSITORY = new GitRepository();
+
+/**
+ * Get the repository to operate on.
+ * @param {CommandLineArgs} [args] - Command line arguments, whose git property may hold a repository.
+ * @returns {GitRepository} The repository given by the arguments, or the repository of the current directory.
+ */
+function fromArgs(args) {
+    return (args && args.git) || DEFAULT_REPOSITORY;
+}
+
+module.exports = {
+    GitError,
+    GitRepository,
+    DEFAULT_REPOSITORY,
+    getTagArgs,
+    getCommitArgs,
+    formatCommand,
+    fromArgs
+};
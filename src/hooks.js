@@ -0,0 +1,127 @@
+/**
+ * This module runs the hooks configured around the release steps. A hook is a shell command, a JS function
+ * (possibly async) or an array of them; it receives the release context and a failing hook aborts the release.
+ * Files created, modified or deleted by a hook that runs before tagging are staged into the release commit.
+ * @module src/hooks
+ * @project js-changelog
+ */
+"use strict"
+
+const CLI_COMMANDS = require("./cli_commands");
+const gitRepository = require("./git_repository");
+const {HookContext, Hooks, Logger} = require("./type_definitions");
+const {GitRepository} = gitRepository;
+
+/**
+ * An object representing the hooks that can be configured, in the order a release runs them.
+ * @constant {object}
+ * @property {string} PRE_BUMP - Before the version is written to package.json.
+ * @property {string} POST_BUMP - After the version is written to package.json, before the release commit.
+ * @property {string} PRE_CHANGELOG - Before the changelog is written.
+ * @property {string} POST_CHANGELOG - After the changelog is written, before it is added to the release commit.
+ * @property {string} PRE_TAG - Before the release commit is tagged.
+ * @property {string} POST_RELEASE - After the release is pushed; the release is not rolled back if it fails.
+ */
+const HOOK_NAMES = {
+    PRE_BUMP: "preBump",
+    POST_BUMP: "postBump",
+    PRE_CHANGELOG: "preChangelog",
+    POST_CHANGELOG: "postChangelog",
+    PRE_TAG: "preTag",
+    POST_RELEASE: "postRelease"
+};
+
+/**
+ * Validate the configured hooks.
+ * @param {*} hooks - The hooks, as read from the configuration.
+ * @returns {string|null} An error message, or null if the hooks are valid.
+ */
+function validateHooks(hooks) {
+    if (!hooks || typeof hooks !== "object" || Array.isArray(hooks)) {
+        return "must be an object mapping hook names to commands or functions";
+    }
+    for (const [name, hook] of Object.entries(hooks)) {
+        if (!Object.values(HOOK_NAMES).includes(name)) {
+            return `has an unknown hook "${name}" (known hooks: ${Object.values(HOOK_NAMES).join(", ")})`;
+        }
+        if (![hook].flat().every(step => (typeof step === "string" && step.trim()) || typeof step === "function")) {
+            return `hook "${name}" must be a command, a function or an array of them`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the environment variables exposing the release context to a hook command.
+ * @param {HookContext} context - The release context.
+ * @returns {object} The environment of the command.
+ * @private
+ */
+function getHookEnvironment(context) {
+    return {
+        ...process.env,
+        JS_CHANGELOG_HOOK: context.hook,
+        JS_CHANGELOG_RELEASE_TYPE: context.type || "",
+        JS_CHANGELOG_OLD_VERSION: context.oldVersion || "",
+        JS_CHANGELOG_NEW_VERSION: context.newVersion || "",
+        JS_CHANGELOG_TAG: context.tag || ""
+    };
+}
+
+/**
+ * Run the hook configured for a release step, if any, and stage the files it changed.
+ * @param {Hooks} hooks - The configured hooks.
+ * @param {string} name - One of the HOOK_NAMES values.
+ * @param {HookContext} context - The release context, without the hook name.
+ * @param {Logger} logger - The logger reporting the hook commands.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<string[]>} A promise that resolves to the staged files.
+ * @throws {Error} If the hook fails.
+ */
+async function runHook(hooks, name, context, logger, git = gitRepository.DEFAULT_REPOSITORY) {
+    const steps = [(hooks || {})[name] || []].flat();
+    if (!steps.length) {
+        return [];
+    }
+
+    const hookContext = {...context, hook: name};
+    const changedBefore = await git.changedFiles();
+    for (const step of steps) {
+        try {
+            if (typeof step === "function") {
+                logger.log(`Running ${name} hook ${step.name || "function"}`);
+                await step(hookContext);
+            } else {
+                logger.log(`Running ${name} hook: ${step}`);
+                // The output is streamed to the logger, since commands like test suites can print a lot of it.
+                await CLI_COMMANDS.stream(step, {env: getHookEnvironment(hookContext)}, (line, stream) => (stream === "stderr" ? logger.error(line) : logger.log(line)));
+            }
+        } catch (error) {
+            throw new Error(`The ${name} hook failed: ${error.message}`);
+        }
+    }
+
+    const changed = (await git.changedFiles()).filter(file => !changedBefore.includes(file));
+    if (changed.length) {
+        await git.add(changed, {all: true});
+    }
+    return changed;
+}
+
+/**
+ * Describe the configured hooks, for dry runs.
+ * @param {Hooks} hooks - The configured hooks.
+ * @returns {string[]} One line per hook step, in the order a release runs them.
+ */
+function describeHooks(hooks) {
+    return Object.values(HOOK_NAMES)
+        .flatMap(name => [(hooks || {})[name] || []].flat()
+            .map(step => `${name}: ${typeof step === "function" ? `function ${step.name || "(anonymous)"}` : step}`));
+}
+
+module.exports = {
+    HOOK_NAMES,
+    validateHooks,
+    runHook,
+    describeHooks
+};
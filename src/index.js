@@ -10,11 +10,14 @@
 "use strict";
 
 // Import required modules
-const CLI_COMMANDS = require("./cli_commands");
-const {CommandLineArgs} = require("./type_definitions")
+const {ChangelogFileUpdate, CommandLineArgs, CommitLintResult, ReleaseListEntry, ReleaseResult, SnapshotVersion, UnreleasedChanges, TagMigration, TagSignature} = require("./type_definitions")
+const fs = require("fs")
 const support = require("./support")
 const parsing = require("./parsing")
-// const constants = require("./constants");
+const {Releaser} = require("./releaser")
+const interactive = require("./interactive")
+const constants = require("./constants");
+const releaseNotes = require("./release_notes");
 
 
 
@@ -61,60 +64,190 @@ const parsing = require("./parsing")
  * Update the changelog for a given version.
  * @param {CommandLineArgs} args - Command line arguments.
  * @param {string} versionTagStr - The version tag for which the changelog is updated.
- * @returns {Promise<void>} A promise that resolves when the changelog is updated.
+ * @returns {Promise<string>} A promise that resolves to the written changelog.
  */
 async function updateChangelog(args, versionTagStr) {
-    if (!versionTagStr) {
-        versionTagStr = await support.currentRelease(args);
-    }
-    versionTagStr = versionTagStr.trim()
-    await CLI_COMMANDS.execute(`auto-changelog --unreleased --template ${args.changelog_template} --output ${args.changelog_output}`);
-    console.log(`Changelog for version ${versionTagStr} created.`);
+    return Releaser.fromArgs(args).updateChangelog(versionTagStr);
 }
 
 /**
- * Create a new release, including tagging and updating the changelog.
+ * Regenerate the whole changelog from the release tags, keeping its preserved parts.
  * @param {CommandLineArgs} args - Command line arguments.
- * @returns {Promise<void>} A Promise that resolves when the release creation process is completed successfully.
- * @throws {Error} If an error occurs during the release process.
+ * @returns {Promise<ChangelogFileUpdate>} A promise that resolves to the written changelog.
  */
-async function createRelease(args) {
-    try {
-        // Check if the current branch is updated.
-        await support.isBranchUpdated();
+async function rebuildChangelog(args) {
+    return Releaser.fromArgs(args).rebuildChangelog();
+}
 
-        // Compute the new release tag.
-        const newTag = await support.computeNewReleaseTag(args);
-        console.log(`New release tag is ${newTag}`);
+/**
+ * Add the release sections missing from the changelog without rewriting the rest of it.
+ * @param {CommandLineArgs} args - Command line arguments; backfill_versions holds the versions, every release if empty.
+ * @returns {Promise<string[]>} A promise that resolves to the tags of the added releases.
+ * @throws {Error} If the changelog does not exist yet or a version is not a release tag.
+ */
+async function backfillChangelog(args) {
+    return Releaser.fromArgs(args).backfillChangelog(args.backfill_versions);
+}
 
-        // Update the version in package.json.
-        await updatePackageJsonVersion(newTag, args);
-        // Stage the changes in package.json.
-        await CLI_COMMANDS.execute(`git add ${args.package_json}`);
-        // Commit the version bump.
-        await CLI_COMMANDS.execute(`git commit -m "version bump: ${newTag}"`);
+/**
+ * Print the notes of a release to stdout, in the format given by the format argument.
+ * @param {CommandLineArgs} args - Command line arguments; notes_version is the version (or "Unreleased").
+ * @returns {Promise<void>} A promise that resolves when the notes are printed.
+ * @throws {Error} If there is no release with the given version.
+ */
+async function printReleaseNotes(args) {
+    process.stdout.write(await Releaser.fromArgs(args).notes(args.notes_version));
+}
 
-        // Update the changelog.
-        await updateChangelog(args, newTag);
-        // Stage the changelog changes.
-        await CLI_COMMANDS.execute(`git add ${args.changelog_output}`);
-        // Amend the commit to include changelog changes.
-        await CLI_COMMANDS.execute("git commit --amend --no-edit");
+/**
+ * Print the next release tag of the release type given by the next_type argument, without releasing.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<string>} A promise that resolves to the next release tag.
+ * @throws {Error} If the release type cannot be applied to the current release.
+ */
+async function printNextRelease(args) {
+    const tag = await Releaser.fromArgs(args).nextRelease(args.next_type);
+    process.stdout.write(`${tag}\n`);
+    return tag;
+}
 
-        // Tag the current commit with the new release tag.
-        await support.tagCurrentCommit(newTag);
-        // Push the changes to the remote repository.
-        await CLI_COMMANDS.execute("git push");
+/**
+ * Print the release tags sorted by SemVer precedence, in the format given by the format argument.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<ReleaseListEntry[]>} A promise that resolves to the release tags.
+ */
+async function listReleases(args) {
+    const entries = await Releaser.fromArgs(args).listReleases();
+    process.stdout.write(releaseNotes.formatReleaseList(entries, args.format));
+    return entries;
+}
 
+/**
+ * Print the commits between the two releases of the diff_range argument, grouped by type.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<void>} A promise that resolves when the commits are printed.
+ * @throws {Error} If a release does not exist.
+ */
+async function printDiff(args) {
+    process.stdout.write(await Releaser.fromArgs(args).diff(...args.diff_range));
+}
 
+/**
+ * Tell whether there are changes after the release of the since_version argument. The exit code is 0 if there are
+ * and 1 otherwise, for scripts; errors exit with 2.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<UnreleasedChanges>} A promise that resolves to the changes made after the release.
+ * @throws {Error} If the release does not exist.
+ */
+async function checkChangesSince(args) {
+    const changes = await Releaser.fromArgs(args).changesSince(args.since_version);
+    const logger = args.logger || console;
+    if (!changes.commits) {
+        logger.log(`No changes since ${changes.since}.`);
+    } else {
+        logger.log(`${changes.commits} commit(s) since ${changes.since}, ${changes.releaseType ? `requiring a ${changes.releaseType} release` : "none of them requiring a release"}.`);
+    }
+    process.exitCode = changes.commits ? constants.EXIT_CODES.SUCCESS : constants.EXIT_CODES.NEGATIVE;
+    return changes;
+}
 
+/**
+ * Lint the commit message in the file of the lint_commit_file argument, as a commit-msg hook. The exit code is 1 if
+ * the message is invalid.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<string[]>} A promise that resolves to the problems found, empty if the message is valid.
+ * @throws {Error} If the file cannot be read.
+ */
+async function lintCommit(args) {
+    const problems = await Releaser.fromArgs(args).lintCommit(fs.readFileSync(args.lint_commit_file).toString());
+    process.exitCode = problems.length ? constants.EXIT_CODES.NEGATIVE : constants.EXIT_CODES.SUCCESS;
+    return problems;
+}
 
-    } catch (error) {
-        // Handle errors and throw an informative message.
-        throw new Error(`Failed creating ${args.action.release} release: ${error.message}`);
-    }
+/**
+ * Lint the messages of the commits of the lint_range argument. The exit code is 1 if a message is invalid.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<CommitLintResult[]>} A promise that resolves to the lint result of each commit.
+ * @throws {Error} If the range is not valid.
+ */
+async function lintRange(args) {
+    const results = await Releaser.fromArgs(args).lintRange(args.lint_range);
+    process.exitCode = results.some(result => result.problems.length) ? constants.EXIT_CODES.NEGATIVE : constants.EXIT_CODES.SUCCESS;
+    return results;
 }
 
+/**
+ * Install the commit-msg hook linting the messages of new commits.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<string>} A promise that resolves to the path of the installed hook.
+ * @throws {Error} If another commit-msg hook is installed.
+ */
+async function installHooks(args) {
+    return Releaser.fromArgs(args).installHooks();
+}
+
+/**
+ * Create a new release, including tagging and updating the changelog.
+ * When the dry_run argument is set, the release is only previewed; when the workspaces argument is set,
+ * the workspace packages are released instead of the root package.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<ReleaseResult>} A Promise that resolves to the release result.
+ * @throws {Error} If an error occurs during the release process.
+ */
+async function createRelease(args) {
+    return Releaser.fromArgs(args).release({type: args.action.release});
+}
+
+/**
+ * Write the snapshot version of HEAD to package.json, or print it with the print_only argument, for the builds
+ * made between releases.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<SnapshotVersion>} A promise that resolves to the snapshot version.
+ * @throws {Error} If the current release cannot be parsed or a version file cannot be updated.
+ */
+async function createSnapshot(args) {
+    return Releaser.fromArgs(args).snapshot({print: args.print_only});
+}
+
+/**
+ * Create a new release interactively: choose the release type, review and edit the changelog section, then confirm.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<ReleaseResult|null>} A promise that resolves to the release result, null if the user aborts.
+ * @throws {Error} If there is nothing to release or the release fails.
+ */
+async function interactiveRelease(args) {
+    return interactive.runWizard(args);
+}
+
+/**
+ * Verify the signatures of release tags.
+ * @param {CommandLineArgs} args - Command line arguments; verify_tags holds the tags, every release tag if empty.
+ * @returns {Promise<TagSignature[]>} A promise that resolves to the outcome of each verification.
+ * @throws {Error} If a tag is not signed or its signature is bad.
+ */
+async function verifyTags(args) {
+    return Releaser.fromArgs(args).verify(args.verify_tags);
+}
+
+/**
+ * List the tags not following the tag template and, with the create_aliases argument, create aliases following it.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<TagMigration[]>} A promise that resolves to the migration of each tag not following the template.
+ * @throws {Error} If no tag template is configured.
+ */
+async function migrateTags(args) {
+    return Releaser.fromArgs(args).migrateTags({createAliases: args.create_aliases});
+}
+
+/**
+ * Undo the changes left behind by an interrupted release, as recorded in its journal.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<boolean>} A promise that resolves to true if a release was rolled back, false if there was none.
+ * @throws {Error} If some changes cannot be undone.
+ */
+async function recoverRelease(args) {
+    return Releaser.fromArgs(args).recover();
+}
 
 
 // MANUALE
@@ -152,30 +285,28 @@ async function createRelease(args) {
 
 
 
-/**
- * Update the version in package.json.
- * @param {string} newRel - The new release version.
- * @param {CommandLineArgs} args - Command line arguments.
- * @returns {Promise<void>} A promise that resolves when the package.json is updated.
- */
-async function updatePackageJsonVersion(newRel, args) {
-    const fs = require("fs");
-    const PACKAGE_JSON_DATA = JSON.parse(fs.readFileSync(args.package_json).toString());
-    PACKAGE_JSON_DATA.version = newRel.trim();
-    fs.writeFileSync(args.package_json, JSON.stringify(PACKAGE_JSON_DATA, undefined, 4));
-
-
-    // await CLI_COMMANDS.execute(`git pull`);
-    // await CLI_COMMANDS.execute("git commit --amend --no-edit");
-    // await CLI_COMMANDS.execute("git push");
-}
-
-
-
 module.exports = {
+    Releaser,
+    RELEASE_EVENTS: constants.RELEASE_EVENTS,
+    RELEASE_TYPES: constants.RELEASE_TYPES,
 
     updateChangelog,
+    rebuildChangelog,
+    backfillChangelog,
+    printReleaseNotes,
+    printNextRelease,
+    listReleases,
+    printDiff,
+    checkChangesSince,
+    lintCommit,
+    lintRange,
+    installHooks,
     createRelease,
+    createSnapshot,
+    interactiveRelease,
+    verifyTags,
+    migrateTags,
+    recoverRelease,
     currentRelease: support.currentRelease
 };
 
@@ -185,9 +316,13 @@ if (require.main === module) {
     const parser = parsing.getParser()
     const args = parser.parse_args();
 
-    parsing.processArgs(args)
-
-    // Call the appropriate function based on the selected action
-
-    args.action ? module.exports[`${args.action.name}`](args) : parser.print_help();
+    // Call the appropriate function based on the selected action; errors are reported without a stack trace,
+    // with an exit code of their own so that scripts can tell them from a negative answer.
+    (async () => {
+        parsing.processArgs(args)
+        return args.action ? module.exports[`${args.action.name}`](args) : parser.print_help();
+    })().catch(error => {
+        console.error(error.message);
+        process.exitCode = constants.EXIT_CODES.ERROR;
+    });
 }
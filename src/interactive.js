@@ -0,0 +1,208 @@
+/**
+ * This module runs the interactive release wizard: it shows the current release and the commits since then,
+ * lets the user pick the release type among the resulting versions, previews the changelog section with an
+ * editable title and notes, and asks for confirmation before committing, tagging and pushing.
+ * @module src/interactive
+ * @project js-changelog
+ */
+"use strict"
+
+const promptSync = require("prompt-sync");
+const constants = require("./constants");
+const changelog = require("./changelog");
+const commitTypes = require("./commit_types");
+const tagTemplates = require("./tag_templates");
+const {Releaser} = require("./releaser");
+const {ChangelogRelease, CommandLineArgs, Logger, ReleaseResult} = require("./type_definitions");
+
+/**
+ * The release types offered by the wizard, in order.
+ * @type {string[]}
+ */
+const CHOICES = [
+    constants.RELEASE_TYPES.MAJOR,
+    constants.RELEASE_TYPES.MINOR,
+    constants.RELEASE_TYPES.PATCH,
+    constants.RELEASE_TYPES.PRERELEASE,
+    constants.RELEASE_TYPES.GRADUATE
+];
+
+/**
+ * The pre-release identifier proposed when the current release is not a pre-release.
+ * @type {string}
+ */
+const DEFAULT_PRERELEASE_ID = "rc";
+
+/**
+ * A logger discarding everything, for the dry runs previewing the release.
+ * @type {Logger}
+ */
+const SILENT_LOGGER = {log: () => undefined, error: () => undefined};
+
+/**
+ * Log the commits of the changes not released yet, grouped by type.
+ * @param {ChangelogRelease} unreleased - The changes not released yet.
+ * @param {string} current - The current release.
+ * @param {Logger} logger - The logger.
+ * @returns {void} Nothing.
+ * @private
+ */
+function showCommits(unreleased, current, logger) {
+    logger.log(`${unreleased.commits.length} commit(s) since ${current}:`);
+    for (const group of unreleased.groups) {
+        logger.log(`  ${group.heading.replace(/^#+\s*/, "")}:`);
+        group.commits.forEach(commit => logger.log(`    - ${commit.subject} (${commit.shorthash})`));
+    }
+    const hidden = unreleased.commits.length - unreleased.groups.reduce((count, group) => count + group.commits.length, 0);
+    if (hidden) {
+        logger.log(`  ${hidden} other commit(s) not shown in the changelog.`);
+    }
+}
+
+/**
+ * Compute the tag a release type leads to, as a release of that type would: Release-As trailers, the release line of
+ * a maintenance branch and the tag template are taken into account.
+ * @param {Releaser} releaser - The releaser.
+ * @param {string} type - One of the RELEASE_TYPES values.
+ * @param {string} [prereleaseId] - The pre-release identifier.
+ * @returns {Promise<string|null>} A promise that resolves to the new tag, null if the release type cannot be applied.
+ * @private
+ */
+async function nextTag(releaser, type, prereleaseId) {
+    try {
+        return await releaser.nextRelease(type, prereleaseId);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Ask a question until the answer is valid.
+ * @param {Function} prompt - The prompt-sync prompt.
+ * @param {string} question - The question.
+ * @param {string} defaultAnswer - The answer when the user just presses enter.
+ * @param {Function} parse - Returns the parsed answer, or undefined if the answer is invalid.
+ * @returns {*} The parsed answer.
+ * @throws {Error} If the user cancels the prompt.
+ * @private
+ */
+function ask(prompt, question, defaultAnswer, parse) {
+    for (;;) {
+        const answer = prompt(`${question} [${defaultAnswer}]: `, defaultAnswer);
+        if (answer === null) {
+            throw new Error("Release cancelled.");
+        }
+        const parsed = parse(answer.trim());
+        if (parsed !== undefined) {
+            return parsed;
+        }
+    }
+}
+
+/**
+ * Ask for the release notes, one line at a time until an empty line.
+ * @param {Function} prompt - The prompt-sync prompt.
+ * @param {Logger} logger - The logger.
+ * @returns {string|null} The notes, null if the user typed none.
+ * @private
+ */
+function askNotes(prompt, logger) {
+    logger.log("Type the release notes, ending with an empty line:");
+    const lines = [];
+    for (let line = prompt("> "); line; line = prompt("> ")) {
+        lines.push(line);
+    }
+    return lines.length ? lines.join("\n") : null;
+}
+
+/**
+ * Run the interactive release wizard.
+ * @param {CommandLineArgs} args - Command line arguments; with dry_run, the wizard stops after the preview.
+ * @param {Function} [prompt] - The prompt-sync prompt, replaceable in tests (defaults to one reading the terminal).
+ * @returns {Promise<ReleaseResult|null>} A promise that resolves to the release result, null if the user aborts.
+ * @throws {Error} If there is no terminal, there is nothing to release, the user cancels a prompt or the release fails.
+ */
+async function runWizard(args, prompt) {
+    const logger = args.logger || console;
+    if (args.workspaces) {
+        throw new Error("The interactive mode does not support workspace releases.");
+    }
+    if (!prompt && !process.stdin.isTTY) {
+        throw new Error("The interactive mode needs a terminal: use --major, --minor, --patch or --auto instead.");
+    }
+    prompt = prompt || promptSync({sigint: true});
+    const releaser = Releaser.fromArgs(args);
+    const preview = Releaser.fromArgs({...args, logger: SILENT_LOGGER});
+
+    // Show the current release and what changed since then.
+    const current = await releaser.currentRelease();
+    logger.log(`Current release: ${current}`);
+    const [unreleased] = await changelog.getReleases(args, current);
+    if (!unreleased || unreleased.tag || !unreleased.commits.length) {
+        throw new Error(`No commits since ${current}: there is nothing to release.`);
+    }
+    showCommits(unreleased, current, logger);
+
+    // Offer each release type with the tag it leads to, leaving out the types that cannot be applied.
+    const version = tagTemplates.parseReleaseTag(tagTemplates.getTagScheme(args), current);
+    const prereleaseId = args.prerelease_id || (version.prerelease.length && !/^\d+$/.test(version.prerelease[0]) ? version.prerelease[0] : DEFAULT_PRERELEASE_ID);
+    const choices = [];
+    for (const type of CHOICES) {
+        // With --prerelease, every release type makes a pre-release of its identifier.
+        const tag = await nextTag(releaser, type, type === constants.RELEASE_TYPES.PRERELEASE ? prereleaseId : args.prerelease_id);
+        // A Release-As trailer leads every type to the same tag, which is offered once.
+        if (tag && !choices.some(choice => choice.tag === tag)) {
+            choices.push({type, tag});
+        }
+    }
+    if (!choices.length) {
+        throw new Error(`No release type can be applied to ${current}.`);
+    }
+    const suggestion = commitTypes.chooseReleaseType(unreleased.commits.map(commit => commit.message), commitTypes.getCommitTypes(args));
+    logger.log("Release types:");
+    choices.forEach((choice, index) => logger.log(`  ${index + 1}) ${choice.type.padEnd(10)} ${choice.tag}${suggestion && suggestion.releaseType === choice.type ? " (suggested)" : ""}`));
+
+    const defaultChoice = (suggestion ? choices.findIndex(choice => choice.type === suggestion.releaseType) + 1 : 0) || 1;
+    const choice = ask(prompt, "Choose a release type", String(defaultChoice), answer => choices[Number(answer) - 1] || choices.find(candidate => candidate.type === answer));
+    const options = {type: choice.type};
+    if (choice.type === constants.RELEASE_TYPES.PRERELEASE) {
+        options.prereleaseId = ask(prompt, "Pre-release identifier", prereleaseId, answer => /^[0-9A-Za-z-]+$/.test(answer) ? answer : undefined);
+    }
+
+    // Preview the changelog section and let the user edit its title and notes.
+    let planned = null;
+    for (;;) {
+        const result = await preview.release({...options, dryRun: true});
+        planned = result.tag;
+        logger.log("Changelog section:");
+        logger.log(result.changelog.trim());
+        const action = ask(prompt, "[c]ontinue, edit the [t]itle, edit the [n]otes or [a]bort?", "c", answer => ["c", "t", "n", "a"].find(key => answer.toLowerCase().startsWith(key)));
+        if (action === "c" && args.dry_run) {
+            return result;
+        }
+        if (action === "c") {
+            break;
+        }
+        if (action === "a") {
+            logger.log("Release aborted.");
+            return null;
+        }
+        if (action === "t") {
+            options.title = ask(prompt, "Release title", options.title || result.tag, answer => answer || undefined);
+        } else {
+            options.notes = askNotes(prompt, logger);
+        }
+    }
+
+    // Confirm before committing, tagging and pushing.
+    const confirmed = ask(prompt, `Commit, tag and push ${planned} to ${args.remote}? (y/n)`, "n", answer => /^(y|yes|n|no)$/i.test(answer) ? /^y/i.test(answer) : undefined);
+    if (!confirmed) {
+        logger.log("Release aborted.");
+        return null;
+    }
+    return releaser.release(options);
+}
+
+module.exports = {
+    runWizard
+};
@@ -0,0 +1,150 @@
+/**
+ * This module publishes released packages to an npm registry by running the npm executable: it maps versions to
+ * dist-tags, checks whether a version is already published and runs npm publish. Every command can target another
+ * registry than the configured one, such as a local verdaccio.
+ * @module src/npm_registry
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const path = require("path");
+const {promisify} = require("util");
+const execFile = promisify(require("child_process").execFile);
+const semver = require("./semver");
+const {PublishTarget} = require("./type_definitions");
+
+/**
+ * The dist-tag of releases.
+ * @type {string}
+ */
+const LATEST_DIST_TAG = "latest";
+
+/**
+ * The dist-tag of pre-releases without an identifier, such as 1.4.0-0.
+ * @type {string}
+ */
+const NEXT_DIST_TAG = "next";
+
+/**
+ * Validate the distTags setting, mapping pre-release identifiers to dist-tags.
+ * @param {*} distTags - The dist-tags, as read from the configuration.
+ * @returns {string|null} An error message, or null if the dist-tags are valid.
+ */
+function validateDistTags(distTags) {
+    if (!distTags || typeof distTags !== "object" || Array.isArray(distTags)) {
+        return "must be an object mapping pre-release identifiers to dist-tags";
+    }
+    for (const [id, distTag] of Object.entries(distTags)) {
+        // npm rejects dist-tags that look like versions, since they are used as version ranges too.
+        if (typeof distTag !== "string" || !/^[a-zA-Z][0-9A-Za-z._-]*$/.test(distTag) || semver.isValid(distTag)) {
+            return `maps "${id}" to an invalid dist-tag: it must start with a letter and only contain letters, digits, dots, underscores and hyphens`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the dist-tag a version is published with: "latest" for releases and, for pre-releases, the dist-tag mapped to
+ * their identifier, the identifier itself (1.4.0-beta.1 is a "beta") or "next" if they have none.
+ * @param {string} version - The version.
+ * @param {object} [distTags] - The dist-tags, keyed by pre-release identifier.
+ * @returns {string} The dist-tag.
+ */
+function getDistTag(version, distTags = {}) {
+    const {prerelease} = semver.parse(version);
+    if (!prerelease.length) {
+        return LATEST_DIST_TAG;
+    }
+    const id = prerelease[0];
+    return distTags[id] || (/^\d+$/.test(id) ? NEXT_DIST_TAG : id);
+}
+
+/**
+ * Get the package to publish for a release.
+ * @param {string} packageJsonPath - The path of the package.json of the package.
+ * @param {string} version - The version being released.
+ * @param {object} [distTags] - The dist-tags, keyed by pre-release identifier.
+ * @returns {PublishTarget} The package to publish.
+ * @throws {Error} If the package has no name.
+ */
+function getPublishTarget(packageJsonPath, version, distTags) {
+    const data = JSON.parse(fs.readFileSync(packageJsonPath).toString());
+    if (!data.name) {
+        throw new Error(`${packageJsonPath} has no name: the package cannot be published.`);
+    }
+    return {name: data.name, version, dir: path.dirname(packageJsonPath), distTag: getDistTag(version, distTags), private: Boolean(data.private)};
+}
+
+/**
+ * Get the arguments of the npm command publishing a package.
+ * @param {PublishTarget} target - The package to publish.
+ * @param {string} [registry] - The URL of the registry (defaults to the one configured in npm).
+ * @returns {string[]} The arguments of npm.
+ */
+function getPublishArgs(target, registry) {
+    return ["publish", "--tag", target.distTag, ...(registry ? ["--registry", registry] : [])];
+}
+
+/**
+ * Run npm in the directory of a package.
+ * @param {string[]} args - The arguments.
+ * @param {string} cwd - The directory of the package.
+ * @returns {Promise<string>} A promise that resolves to the standard output of npm.
+ * @throws {Error} If npm cannot be run or exits with an error; the error has the standard error of npm as stderr.
+ * @private
+ */
+async function runNpm(args, cwd) {
+    try {
+        const {stdout} = await execFile("npm", args, {cwd});
+        return stdout;
+    } catch (error) {
+        const reason = (error.stderr || "").split("\n")
+            .map(line => line.replace(/^npm (?:error|ERR!)/, "").trim())
+            .filter(line => line && !/complete log of this run/.test(line))
+            .slice(0, 3)
+            .join(" ") || error.message;
+        throw Object.assign(new Error(`npm ${args.join(" ")} failed: ${reason}`), {stderr: error.stderr || ""});
+    }
+}
+
+/**
+ * Check whether the version of a package is already published.
+ * @param {PublishTarget} target - The package.
+ * @param {string} [registry] - The URL of the registry (defaults to the one configured in npm).
+ * @returns {Promise<boolean>} A promise that resolves to true if the version is published.
+ * @throws {Error} If the registry cannot be queried.
+ */
+async function isPublished(target, registry) {
+    try {
+        const output = await runNpm(["view", `${target.name}@${target.version}`, "version", "--json", ...(registry ? ["--registry", registry] : [])], target.dir);
+        return Boolean(output.trim());
+    } catch (error) {
+        if (/\bE404\b/.test(error.stderr)) {
+            return false; // The package has never been published
+        }
+        throw error;
+    }
+}
+
+/**
+ * Publish a package with its dist-tag.
+ * @param {PublishTarget} target - The package to publish.
+ * @param {string} [registry] - The URL of the registry (defaults to the one configured in npm).
+ * @returns {Promise<void>} A promise that resolves when the package is published.
+ * @throws {Error} If npm publish fails.
+ */
+async function publishPackage(target, registry) {
+    await runNpm(getPublishArgs(target, registry), target.dir);
+}
+
+module.exports = {
+    LATEST_DIST_TAG,
+    NEXT_DIST_TAG,
+    validateDistTags,
+    getDistTag,
+    getPublishTarget,
+    getPublishArgs,
+    isPublished,
+    publishPackage
+};
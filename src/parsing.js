@@ -11,6 +11,8 @@
 
 const {ArgumentParser} = require("argparse");
 const constants = require("./constants");
+const config = require("./config");
+const references = require("./references");
 
 /**
  * Get a configured ArgumentParser instance.
@@ -30,6 +32,51 @@ function getParser() {
         help: "returns the current release tag",
     });
 
+    parser.add_argument("--next", {
+        dest: "next_type",
+        action: "store",
+        choices: [...Object.values(constants.RELEASE_TYPES), constants.AUTO_RELEASE_TYPE],
+        metavar: "TYPE",
+        help: "prints the next release tag of a release type (major, minor, patch, prerelease, graduate or auto) without releasing",
+    });
+    parser.add_argument("--list", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "listReleases"},
+        help: "lists the release tags sorted by SemVer precedence, with their date and commit",
+    });
+    parser.add_argument("--diff", {
+        dest: "diff_range",
+        nargs: 2,
+        metavar: ["FROM", "TO"],
+        help: "prints the commits between two releases, grouped by type",
+    });
+    parser.add_argument("--since", {
+        dest: "since_version",
+        action: "store",
+        metavar: "VERSION",
+        help: "tells whether there are changes after a release, exiting with 0 if there are and 1 otherwise",
+    });
+
+    parser.add_argument("--lint-commit", {
+        dest: "lint_commit_file",
+        action: "store",
+        metavar: "FILE",
+        help: "lints the commit message in a file against the commit types, as a commit-msg hook, exiting with 1 if it is invalid",
+    });
+    parser.add_argument("--lint-range", {
+        dest: "lint_range",
+        action: "store",
+        metavar: "RANGE",
+        help: "lints the messages of the commits of a revision range, such as main..feature, exiting with 1 if one is invalid",
+    });
+    parser.add_argument("--install-hooks", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "installHooks"},
+        help: "installs a commit-msg hook in the git hooks directory, linting the message of every new commit",
+    });
+
     parser.add_argument("-M", "--major", {
         dest: "action",
         action: "store_const",
@@ -48,6 +95,51 @@ function getParser() {
         const: {name: "createRelease", release: constants.RELEASE_TYPES.PATCH},
         help: "creates a new patch release",
     });
+    parser.add_argument("--prerelease", {
+        dest: "prerelease_id",
+        action: "store",
+        metavar: "ID",
+        help: "creates a new pre-release with the given identifier (e.g. beta: 1.4.0-beta.1 becomes 1.4.0-beta.2), or a pre-release of the release type given with -M, -m, -p or -a (e.g. -m: 1.3.0 becomes 1.4.0-beta.1)",
+    });
+    parser.add_argument("--graduate", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "createRelease", release: constants.RELEASE_TYPES.GRADUATE},
+        help: "releases the current pre-release (e.g. 1.4.0-rc.3 becomes 1.4.0)",
+    });
+    parser.add_argument("-a", "--auto", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "createRelease", release: constants.AUTO_RELEASE_TYPE},
+        help: "creates a new release, inferring its type from the commits since the current release",
+    });
+
+
+    parser.add_argument("-i", "--interactive", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "interactiveRelease"},
+        help: "creates a new release step by step: choose its type, review the changelog section, then confirm",
+    });
+
+
+    parser.add_argument("--snapshot", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "createSnapshot"},
+        help: "writes a snapshot version of HEAD, e.g. 1.4.0-canary.5.g1a2b3c4, to package.json without committing nor tagging",
+    });
+    parser.add_argument("--snapshot-id", {
+        dest: "snapshot_id",
+        action: "store",
+        metavar: "ID",
+        help: `the pre-release identifier of snapshot versions (defaults to ${constants.DEFAULT_SNAPSHOT_ID})`,
+    });
+    parser.add_argument("--print", {
+        dest: "print_only",
+        action: "store_true",
+        help: "with --snapshot, prints the snapshot version without writing it",
+    });
 
 
     parser.add_argument("-cl", "--changelog", {
@@ -56,39 +148,205 @@ function getParser() {
         const: {name: "updateChangelog"},
         help: "updates the changelog file",
     });
+    parser.add_argument("--rebuild", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "rebuildChangelog"},
+        help: "regenerates the whole changelog from the release tags, listing cherry-picked commits once and keeping the preserved parts",
+    });
+    parser.add_argument("--backfill", {
+        dest: "backfill_versions",
+        nargs: "*",
+        metavar: "VERSION",
+        help: "adds the given release sections, or every release section, missing from the changelog without rewriting the rest",
+    });
+    parser.add_argument("--notes", {
+        dest: "notes_version",
+        action: "store",
+        metavar: "VERSION",
+        help: "prints the notes of a release (or of the \"Unreleased\" changes) to stdout",
+    });
+    parser.add_argument("--verify", {
+        dest: "verify_tags",
+        nargs: "*",
+        metavar: "TAG",
+        help: "verifies the signatures of the given release tags, or of every release tag",
+    });
+    parser.add_argument("--migrate-tags", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "migrateTags"},
+        help: "lists the tags that do not follow the tag template, see --create-aliases",
+    });
+    parser.add_argument("--recover", {
+        dest: "action",
+        action: "store_const",
+        const: {name: "recoverRelease"},
+        help: "undoes the changes left behind by an interrupted release",
+    });
 
     // Define additional arguments
     parser.add_argument("-clo", "--changelog-output", {
         dest: "changelog_output",
         action: "store",
-        default: constants.CHANGELOG_PATH,
         help: `the path to the changelog file (defaults to ${constants.CHANGELOG_PATH})`,
     });
     parser.add_argument("-clt", "--changelog-template", {
         dest: "changelog_template",
         action: "store",
-        default: constants.CHANGELOG_TEMPLATE_PATH,
         help: "the path to a custom changelog template file",
     });
     parser.add_argument("-pj", "--package-json", {
         dest: "package_json",
         action: "store",
-        default: constants.PACKAGE_JSON_PATH,
         help: `the path to the package.json file (defaults to ${constants.PACKAGE_JSON_PATH})`,
     });
 
+    parser.add_argument("-f", "--format", {
+        dest: "format",
+        action: "store",
+        choices: Object.values(constants.OUTPUT_FORMATS),
+        help: `the format of release notes, diffs and release lists (defaults to ${constants.OUTPUT_FORMATS.MARKDOWN}); the changelog file is always markdown`,
+    });
+    parser.add_argument("--issue-tracker", {
+        dest: "issue_tracker",
+        action: "store",
+        choices: [...Object.keys(references.ISSUE_TRACKERS), references.NO_ISSUE_TRACKER],
+        help: "the issue tracker whose issue and pull request references are linked (defaults to the one of the remote host)",
+    });
+    parser.add_argument("--mailmap", {
+        dest: "mailmap",
+        action: "store",
+        metavar: "FILE",
+        help: `the .mailmap file merging the names and emails of contributors (defaults to ${constants.MAILMAP_PATH})`,
+    });
+    parser.add_argument("--tag-prefix", {
+        dest: "tag_prefix",
+        action: "store",
+        help: "the prefix of new release tags, e.g. v (defaults to the prefix of the current release)",
+    });
+    parser.add_argument("--tag-template", {
+        dest: "tag_template",
+        action: "store",
+        help: "the template of release tags, such as v{version} or {name}@{version}; only the tags following it are releases",
+    });
+    parser.add_argument("--create-aliases", {
+        dest: "create_aliases",
+        action: "store_true",
+        help: "with --migrate-tags, tags the commits of the tags not following the tag template with an alias following it",
+    });
+    parser.add_argument("--release-line", {
+        dest: "release_line",
+        action: "store",
+        metavar: "LINE",
+        help: "the release line to stay in, such as 1.x or 1.2.x (defaults to the line of a maintenance branch like release/1.2, maintenance/1.2 or 1.2.x)",
+    });
+    parser.add_argument("--remote", {
+        dest: "remote",
+        action: "store",
+        help: `the git remote to check and push to (defaults to ${constants.DEFAULT_REMOTE})`,
+    });
+    parser.add_argument("--commit-message", {
+        dest: "commit_message",
+        action: "store",
+        help: `the message of the version bump commit, {version} is replaced with the new version (defaults to "${constants.COMMIT_MESSAGE_FORMAT}")`,
+    });
+    parser.add_argument("--config", {
+        dest: "config",
+        action: "store",
+        help: `the path to a configuration file (defaults to the first of ${constants.CONFIG_FILES.join(", ")} or the "${constants.PACKAGE_JSON_CONFIG_KEY}" key of package.json)`,
+    });
+    parser.add_argument("-n", "--dry-run", {
+        dest: "dry_run",
+        action: "store_true",
+        help: "shows what a release would do, without changing any file nor running mutating git commands",
+    });
+
+    parser.add_argument("--annotate", {
+        dest: "annotated_tags",
+        action: "store_const",
+        const: true,
+        help: "creates annotated release tags, whose message is the changelog section of the release",
+    });
+    parser.add_argument("--sign", {
+        dest: "sign",
+        action: "store_const",
+        const: true,
+        help: "signs the release tags and the version bump commit with the GPG or SSH key configured in git",
+    });
+
+    parser.add_argument("--publish", {
+        dest: "publish",
+        action: "store_const",
+        const: true,
+        help: "publishes the released packages to the npm registry after tagging, before pushing",
+    });
+    parser.add_argument("--registry", {
+        dest: "registry",
+        action: "store",
+        metavar: "URL",
+        help: "the npm registry to publish to, such as a local verdaccio (defaults to the registry configured in npm)",
+    });
+
+    parser.add_argument("--skip-check", {
+        dest: "skip_checks",
+        action: "append",
+        choices: Object.values(constants.CHECK_NAMES),
+        metavar: "NAME",
+        help: `skips a pre-release check, can be repeated (one of ${Object.values(constants.CHECK_NAMES).join(", ")})`,
+    });
+
+    parser.add_argument("-w", "--workspaces", {
+        dest: "workspaces",
+        action: "store_true",
+        help: "releases the changed packages of the npm workspaces declared in package.json, each with its own name@version tag",
+    });
+
     return parser;
 }
 
 /**
  * Process command-line arguments and modify them if needed.
+ * Arguments not given on the command line are read from the configuration, then from the defaults.
  * @param {object} args - Parsed command-line arguments.
  * @returns {void} Nothing.
+ * @throws {Error} If the configuration is invalid.
  */
 function processArgs(args) {
+    config.applyConfig(args);
+
     if (args.action && args.action.name  === "currentRelease") {
         args.verbose = true; // Set verbose to true when --current is passed
     }
+    if (args.notes_version) {
+        args.action = {name: "printReleaseNotes"};
+    }
+    if (args.backfill_versions) {
+        args.action = {name: "backfillChangelog"};
+    }
+    if (args.verify_tags) {
+        args.action = {name: "verifyTags"};
+    }
+    if (args.prerelease_id && !args.action) {
+        // Alone, --prerelease increments the pre-release; with a release type, it makes a pre-release of that type.
+        args.action = {name: "createRelease", release: constants.RELEASE_TYPES.PRERELEASE};
+    }
+    // The queries come last, so that --next prerelease --prerelease ID only prints the next version.
+    if (args.diff_range) {
+        args.action = {name: "printDiff"};
+    }
+    if (args.since_version) {
+        args.action = {name: "checkChangesSince"};
+    }
+    if (args.next_type) {
+        args.action = {name: "printNextRelease"};
+    }
+    if (args.lint_range) {
+        args.action = {name: "lintRange"};
+    }
+    if (args.lint_commit_file) {
+        args.action = {name: "lintCommit"};
+    }
 }
 
 module.exports = {
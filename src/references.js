@@ -0,0 +1,245 @@
+/**
+ * This module links the issues and pull requests referenced by commit messages, such as "#123", "closes #45" or
+ * "JIRA-901", and lists the contributors of releases from the authors and the Co-authored-by trailers of their
+ * commits, merging the aliases of a person through a .mailmap file.
+ * @module src/references
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const {ChangelogCommit, CommandLineArgs, Contributor, ReferencePattern} = require("./type_definitions");
+
+/**
+ * Kinds of references.
+ * @constant {object}
+ * @property {string} ISSUE - A reference to an issue, such as "#45" or "JIRA-901".
+ * @property {string} PULL - A reference to a pull request, or a GitLab merge request.
+ */
+const REFERENCE_KINDS = {
+    ISSUE: "issue",
+    PULL: "pull"
+};
+
+/**
+ * The issue tracker setting turning the built-in references off, leaving only the configured ones.
+ * @type {string}
+ */
+const NO_ISSUE_TRACKER = "none";
+
+/**
+ * The references of the issue trackers of code hosts, tried in order. Pull requests are referenced like issues on
+ * GitHub and Gitea, so "#12" is a pull request only in merge commits and squashed commits ending with "(#12)".
+ * @type {{[tracker: string]: ReferencePattern[]}}
+ */
+const ISSUE_TRACKERS = {
+    github: [
+        {pattern: "(?<=^Merge pull request )#(\\d+)\\b", url: "{repository}/pull/{id}", kind: REFERENCE_KINDS.PULL},
+        {pattern: "(?<=\\()#(\\d+)(?=\\)[ \\t]*$)", url: "{repository}/pull/{id}", kind: REFERENCE_KINDS.PULL},
+        {pattern: "(?<![\\w&/])#(\\d+)\\b", url: "{repository}/issues/{id}", kind: REFERENCE_KINDS.ISSUE}
+    ],
+    gitlab: [
+        {pattern: "(?<![\\w!])!(\\d+)\\b|(?<=See merge request \\S+)!(\\d+)\\b", url: "{repository}/-/merge_requests/{id}", kind: REFERENCE_KINDS.PULL},
+        {pattern: "(?<![\\w&/])#(\\d+)\\b", url: "{repository}/-/issues/{id}", kind: REFERENCE_KINDS.ISSUE}
+    ],
+    gitea: [
+        {pattern: "(?<=^Merge pull request )#(\\d+)\\b", url: "{repository}/pulls/{id}", kind: REFERENCE_KINDS.PULL},
+        {pattern: "(?<=\\()#(\\d+)(?=\\)[ \\t]*$)", url: "{repository}/pulls/{id}", kind: REFERENCE_KINDS.PULL},
+        {pattern: "(?<![\\w&/])#(\\d+)\\b", url: "{repository}/issues/{id}", kind: REFERENCE_KINDS.ISSUE}
+    ]
+};
+
+/**
+ * Pattern of the keywords closing the issue referenced right after them, as in "Fixes #45" or "closes: JIRA-901".
+ * @type {RegExp}
+ */
+const CLOSING_KEYWORD_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?[ \t]+$/i;
+
+/**
+ * Pattern of the trailers naming the co-authors of a commit.
+ * @type {RegExp}
+ */
+const CO_AUTHOR_PATTERN = /^Co-authored-by:[ \t]*(?<name>.*?)[ \t]*<(?<email>[^>]*)>[ \t]*$/gim;
+
+/**
+ * Validate the references setting.
+ * @param {*} patterns - The reference patterns, as read from the configuration.
+ * @returns {string|null} An error message, or null if the patterns are valid.
+ */
+function validateReferencePatterns(patterns) {
+    if (!Array.isArray(patterns)) {
+        return "must be an array of {pattern, url, kind} objects";
+    }
+    for (const reference of patterns) {
+        if (!reference || typeof reference.pattern !== "string" || typeof reference.url !== "string" || !reference.url.includes("{id}")) {
+            return "must only contain objects with a string pattern and a url containing the {id} placeholder";
+        }
+        if (reference.kind !== undefined && !Object.values(REFERENCE_KINDS).includes(reference.kind)) {
+            return `has a pattern of kind "${reference.kind}": use one of ${Object.values(REFERENCE_KINDS).join(", ")}`;
+        }
+        try {
+            new RegExp(reference.pattern);
+        } catch (error) {
+            return `has an invalid pattern: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validate the issueTracker setting.
+ * @param {*} tracker - The issue tracker, as read from the configuration.
+ * @returns {string|null} An error message, or null if the issue tracker is valid.
+ */
+function validateIssueTracker(tracker) {
+    const trackers = [...Object.keys(ISSUE_TRACKERS), NO_ISSUE_TRACKER];
+    return trackers.includes(tracker) ? null : `must be one of ${trackers.join(", ")}`;
+}
+
+/**
+ * Get the reference patterns to look for in commit messages: the configured ones, then the ones of the issue tracker,
+ * either configured or inferred from the host of the repository (GitHub unless it looks like GitLab or Gitea).
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string|null} repositoryUrl - The web URL of the repository, null if it has no known remote.
+ * @returns {ReferencePattern[]} The reference patterns, with their URL templates filled with the repository URL.
+ */
+function getReferencePatterns(args, repositoryUrl) {
+    let tracker = args.issue_tracker;
+    if (!tracker) {
+        const host = repositoryUrl ? new URL(repositoryUrl).hostname : "";
+        tracker = /gitlab/.test(host) ? "gitlab" : /gitea|codeberg/.test(host) ? "gitea" : "github";
+    }
+    // The references of the issue tracker are relative to the repository, so they cannot be linked without a remote.
+    const builtIn = repositoryUrl && tracker !== NO_ISSUE_TRACKER ? ISSUE_TRACKERS[tracker] : [];
+    return [...(args.references || []), ...builtIn].map(reference => ({
+        pattern: reference.pattern,
+        url: reference.url.replaceAll("{repository}", repositoryUrl || ""),
+        kind: reference.kind || REFERENCE_KINDS.ISSUE
+    }));
+}
+
+/**
+ * Find the references of a commit message. When patterns overlap, the first one wins.
+ * @param {string} message - The whole commit message.
+ * @param {ReferencePattern[]} patterns - The reference patterns.
+ * @returns {Array<object>} The references (CommitReference objects with the index of their position in the message),
+ * in order.
+ */
+function findReferences(message, patterns) {
+    const found = [];
+    for (const {pattern, url, kind} of patterns) {
+        for (const match of message.matchAll(new RegExp(pattern, "gm"))) {
+            const end = match.index + match[0].length;
+            if (!match[0] || found.some(reference => match.index < reference.index + reference.text.length && reference.index < end)) {
+                continue;
+            }
+            const id = (match.groups && match.groups.id) || match.slice(1).find(group => group !== undefined) || match[0];
+            found.push({
+                id,
+                text: match[0],
+                kind,
+                href: url.replaceAll("{id}", encodeURIComponent(id)),
+                closes: CLOSING_KEYWORD_PATTERN.test(message.slice(0, match.index)),
+                index: match.index
+            });
+        }
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Read a .mailmap file, mapping the names and emails a person commits with to their canonical name and email.
+ * It supports the git formats: "Name <commit email>", "<email> <commit email>", "Name <email> <commit email>" and
+ * "Name <email> Commit Name <commit email>".
+ * @param {string} path - The path of the file.
+ * @returns {Array<{name: (string|null), email: (string|null), commitName: (string|null), commitEmail: string}>}
+ * The entries, empty if the file does not exist.
+ */
+function readMailmap(path) {
+    if (!path || !fs.existsSync(path)) {
+        return [];
+    }
+    return fs.readFileSync(path).toString().split("\n")
+        .map(line => /^(?<name>[^<#]*)<(?<email>[^>]*)>(?:(?<commitName>[^<#]*)<(?<commitEmail>[^>]*)>)?/.exec(line.trim()))
+        .filter(match => match)
+        .map(({groups}) => groups.commitEmail === undefined
+            ? {name: groups.name.trim() || null, email: null, commitName: null, commitEmail: groups.email.trim().toLowerCase()}
+            : {name: groups.name.trim() || null, email: groups.email.trim() || null, commitName: groups.commitName.trim() || null, commitEmail: groups.commitEmail.trim().toLowerCase()});
+}
+
+/**
+ * Get the canonical name and email of a person, according to a .mailmap file. Entries matching the name as well as
+ * the email take precedence.
+ * @param {{name: string, email: string}} person - The name and email found in a commit.
+ * @param {Array<object>} mailmap - The entries of the .mailmap file, as read by readMailmap.
+ * @returns {{name: string, email: string}} The canonical name and email.
+ */
+function mapPerson(person, mailmap) {
+    const entries = mailmap.filter(entry => entry.commitEmail === person.email.toLowerCase() && (!entry.commitName || entry.commitName === person.name));
+    const byName = entries.filter(entry => entry.commitName);
+    const mapped = {...person};
+    for (const entry of [...entries.filter(candidate => !candidate.commitName), ...byName]) {
+        mapped.name = entry.name || mapped.name;
+        mapped.email = entry.email || mapped.email;
+    }
+    return mapped;
+}
+
+/**
+ * Link the references of a commit and map its author and co-authors through the .mailmap file.
+ * @param {ChangelogCommit} commit - The commit, whose author, email, references, linkedSubject and coAuthors are set.
+ * @param {ReferencePattern[]} patterns - The reference patterns.
+ * @param {Array<object>} mailmap - The entries of the .mailmap file.
+ * @returns {void} Nothing.
+ */
+function linkCommit(commit, patterns, mailmap) {
+    const references = findReferences(commit.message, patterns);
+    let linkedSubject = commit.subject;
+    references.filter(reference => reference.index < commit.subject.length).reverse().forEach(reference => {
+        linkedSubject = `${linkedSubject.slice(0, reference.index)}[${reference.text}](${reference.href})${linkedSubject.slice(reference.index + reference.text.length)}`;
+    });
+
+    const author = mapPerson({name: commit.author, email: commit.email}, mailmap);
+    commit.author = author.name;
+    commit.email = author.email;
+    commit.references = references
+        .filter((reference, index) => references.findIndex(other => other.href === reference.href) === index)
+        .map(({id, text, kind, href, closes}) => ({id, text, kind, href, closes}));
+    commit.linkedSubject = linkedSubject;
+    commit.coAuthors = [...commit.body.matchAll(CO_AUTHOR_PATTERN)]
+        .map(match => mapPerson({name: match.groups.name, email: match.groups.email}, mailmap));
+}
+
+/**
+ * List the contributors of some commits, the authors and co-authors, the most active first. A commit counts once
+ * for each of them.
+ * @param {ChangelogCommit[]} commits - The commits, linked with linkCommit.
+ * @returns {Contributor[]} The contributors, each once per email.
+ */
+function getContributors(commits) {
+    const contributors = new Map();
+    for (const commit of commits) {
+        const people = new Map([{name: commit.author, email: commit.email}, ...commit.coAuthors]
+            .map(person => [(person.email || person.name).toLowerCase(), person]));
+        for (const [key, person] of people) {
+            const contributor = contributors.get(key) || {name: person.name, email: person.email, commits: 0};
+            contributor.commits += 1;
+            contributors.set(key, contributor);
+        }
+    }
+    return [...contributors.values()].sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    REFERENCE_KINDS,
+    NO_ISSUE_TRACKER,
+    ISSUE_TRACKERS,
+    validateReferencePatterns,
+    validateIssueTracker,
+    getReferencePatterns,
+    findReferences,
+    readMailmap,
+    mapPerson,
+    linkCommit,
+    getContributors
+};
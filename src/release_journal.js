@@ -0,0 +1,186 @@
+/**
+ * This module keeps a journal of the changes made by a release, so that they can be undone
+ * in reverse order when a release step fails or when a release is interrupted.
+ * @module src/release_journal
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const gitRepository = require("./git_repository");
+const constants = require("./constants");
+const {Logger, ReleaseJournal, ReleaseJournalStep} = require("./type_definitions");
+const {GitRepository} = gitRepository;
+
+/**
+ * An object representing the kinds of step recorded in a release journal.
+ * @constant {object}
+ * @property {string} FILE - A file about to be written; its previous content is recorded.
+ * @property {string} COMMIT - A commit about to be created or amended.
+ * @property {string} TAG - A tag that has been created.
+ * @property {string} HOOK - Files changed by a hook; they are restored as they were when the release started.
+ */
+const STEP_TYPES = {
+    FILE: "file",
+    COMMIT: "commit",
+    TAG: "tag",
+    HOOK: "hook"
+};
+
+/**
+ * Get the path of the journal file, inside the git directory of the repository.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<string>} A promise that resolves to the path of the journal file.
+ * @private
+ */
+async function getJournalPath(git = gitRepository.DEFAULT_REPOSITORY) {
+    return git.gitPath(constants.RELEASE_JOURNAL_FILE);
+}
+
+/**
+ * Write a journal to disk.
+ * @param {ReleaseJournal} journal - The journal to write.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when the journal is written.
+ * @private
+ */
+async function saveJournal(journal, git = gitRepository.DEFAULT_REPOSITORY) {
+    fs.writeFileSync(await getJournalPath(git), JSON.stringify(journal, undefined, 4));
+}
+
+/**
+ * Read the journal left on disk by a release.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<ReleaseJournal|null>} A promise that resolves to the journal, or null if there is none.
+ */
+async function readJournal(git = gitRepository.DEFAULT_REPOSITORY) {
+    const journalPath = await getJournalPath(git);
+    if (!fs.existsSync(journalPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(journalPath).toString());
+}
+
+/**
+ * Delete the journal from disk.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when the journal is deleted.
+ */
+async function clearJournal(git = gitRepository.DEFAULT_REPOSITORY) {
+    fs.rmSync(await getJournalPath(git), {force: true});
+}
+
+/**
+ * Start the journal of a new release, recording the current HEAD.
+ * @param {string} tag - The tag of the release.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<ReleaseJournal>} A promise that resolves to the new journal.
+ * @throws {Error} If the journal of an interrupted release is still on disk.
+ */
+async function startJournal(tag, git = gitRepository.DEFAULT_REPOSITORY) {
+    const pending = await readJournal(git);
+    if (pending) {
+        throw new Error(`The release of ${pending.tag} was interrupted. Run with --recover to undo its changes first.`);
+    }
+
+    const journal = {
+        tag,
+        head: await git.revParse("HEAD"),
+        startedOn: new Date().toISOString(),
+        steps: []
+    };
+    await saveJournal(journal, git);
+    return journal;
+}
+
+/**
+ * Append a step to a journal and write it to disk.
+ * @param {ReleaseJournal} journal - The journal of the release.
+ * @param {ReleaseJournalStep} step - The step to record.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when the step is recorded.
+ */
+async function recordStep(journal, step, git = gitRepository.DEFAULT_REPOSITORY) {
+    journal.steps.push(step);
+    await saveJournal(journal, git);
+}
+
+/**
+ * Record the current content of a file that is about to be written.
+ * @param {ReleaseJournal} journal - The journal of the release.
+ * @param {string} path - The path of the file.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when the step is recorded.
+ */
+async function recordFile(journal, path, git = gitRepository.DEFAULT_REPOSITORY) {
+    const content = fs.existsSync(path) ? fs.readFileSync(path).toString() : null;
+    await recordStep(journal, {type: STEP_TYPES.FILE, path, content}, git);
+}
+
+/**
+ * Undo a single journal step.
+ * @param {ReleaseJournal} journal - The journal of the release.
+ * @param {ReleaseJournalStep} step - The step to undo.
+ * @param {GitRepository} git - The repository.
+ * @returns {Promise<string>} A promise that resolves to a description of what has been undone.
+ * @throws {Error} If the step type is unknown.
+ * @private
+ */
+async function undoStep(journal, step, git) {
+    switch (step.type) {
+        case STEP_TYPES.FILE:
+            if (step.content === null) {
+                fs.rmSync(step.path, {force: true});
+            } else {
+                fs.writeFileSync(step.path, step.content);
+            }
+            return `restored ${step.path}`;
+        case STEP_TYPES.COMMIT:
+            // A mixed reset keeps the working tree, whose release files are restored by the FILE steps.
+            await git.reset(journal.head, "mixed");
+            return `reset to ${journal.head}`;
+        case STEP_TYPES.TAG:
+            await git.deleteTag(step.tag);
+            return `deleted tag ${step.tag}`;
+        case STEP_TYPES.HOOK:
+            await git.restore(journal.head, step.paths);
+            return `restored ${step.paths.join(", ")}, changed by the ${step.hook} hook`;
+        default:
+            throw new Error(`Unknown journal step type: "${step.type}".`);
+    }
+}
+
+/**
+ * Undo the steps of a journal in reverse order, then delete it.
+ * Every step is attempted even if a previous one fails; the journal is kept on disk if any step fails.
+ * @param {ReleaseJournal} journal - The journal of the release to undo.
+ * @param {Logger} [logger] - The logger reporting each undone step.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when every step is undone.
+ * @throws {Error} If some steps cannot be undone.
+ */
+async function rollback(journal, logger = console, git = gitRepository.DEFAULT_REPOSITORY) {
+    const failures = [];
+    for (const step of [...journal.steps].reverse()) {
+        try {
+            logger.log(`Rollback: ${await undoStep(journal, step, git)}`);
+        } catch (error) {
+            failures.push(`${step.type} ${step.path || step.tag || (step.paths || []).join(", ")}: ${error.message}`);
+        }
+    }
+
+    if (failures.length) {
+        throw new Error(`Unable to roll back the release of ${journal.tag}:\n${failures.join("\n")}\nThe journal is kept at ${await getJournalPath(git)}.`);
+    }
+    await clearJournal(git);
+}
+
+module.exports = {
+    STEP_TYPES,
+    readJournal,
+    clearJournal,
+    startJournal,
+    recordStep,
+    recordFile,
+    rollback
+};
@@ -0,0 +1,116 @@
+/**
+ * This module handles maintenance branches, which release an older line of versions: on a branch such as
+ * "release/1.2", "maintenance/1.x", "1.2.x" or "1.x", the current release is the highest release tag of the line (or below it)
+ * and the new release must stay inside the line, so that patching 1.2.x does not start from 2.x.
+ * @module src/release_lines
+ * @project js-changelog
+ */
+"use strict"
+
+const gitRepository = require("./git_repository");
+const semver = require("./semver");
+const {CommandLineArgs, ReleaseLine, SemVerInfo} = require("./type_definitions");
+
+/**
+ * Pattern of a release line, such as "1.x", "1.2.x" or "v1.2", optionally after a prefix like "release/".
+ * @type {RegExp}
+ */
+const RELEASE_LINE_PATTERN = /^(?:(?<prefix>[\w.-]+(?:\/[\w.-]+)*)\/)?v?(?<major>\d+)(?:\.(?<minor>\d+))?(?<wildcard>\.x)?$/;
+
+/**
+ * The prefixes of maintenance branches named after a version, as in "release/1.2".
+ * @type {string[]}
+ */
+const DEFAULT_BRANCH_PREFIXES = ["release", "maintenance"];
+
+/**
+ * Validate the releaseBranchPrefixes setting.
+ * @param {*} prefixes - The branch prefixes, as read from the configuration.
+ * @returns {string|null} An error message, or null if the prefixes are valid.
+ */
+function validateBranchPrefixes(prefixes) {
+    if (!Array.isArray(prefixes) || !prefixes.every(prefix => typeof prefix === "string" && /^[\w.-]+(?:\/[\w.-]+)*$/.test(prefix))) {
+        return "must be an array of branch name prefixes, such as [\"release\", \"support\"], without the trailing slash";
+    }
+    return null;
+}
+
+/**
+ * Parse a release line.
+ * @param {string} name - A branch name, such as "release/1.2" or "1.x", or a line given on the command line.
+ * @param {string[]} [branchPrefixes] - For branch names, the prefixes of maintenance branches: a branch is a line only
+ * if its name has one of them, or ends with ".x", so that branches like "issue/7" or "2024" are not lines.
+ * @returns {ReleaseLine|null} The line, or null if the name is not one.
+ */
+function parseReleaseLine(name, branchPrefixes) {
+    const match = RELEASE_LINE_PATTERN.exec(name.trim());
+    if (!match || (branchPrefixes && !match.groups.wildcard && !branchPrefixes.includes(match.groups.prefix))) {
+        return null;
+    }
+    const major = Number(match.groups.major);
+    const minor = match.groups.minor === undefined ? null : Number(match.groups.minor);
+    return {name: minor === null ? `${major}.x` : `${major}.${minor}.x`, source: name.trim(), major, minor};
+}
+
+/**
+ * Get the release line of the current branch, or the one given with --release-line.
+ * @param {CommandLineArgs} args - Command line arguments. The release line given with --release-line overrides the
+ * one of the branch, and is needed on a detached HEAD; release_branch_prefixes names the maintenance branches.
+ * @returns {Promise<ReleaseLine|null>} A promise that resolves to the line, null on other branches.
+ * @throws {Error} If the release_line argument is not a release line.
+ */
+async function getReleaseLine(args) {
+    if (args.release_line) {
+        const line = parseReleaseLine(args.release_line);
+        if (!line) {
+            throw new Error(`Invalid release line: "${args.release_line}". Use a version line such as 1.x or 1.2.x.`);
+        }
+        return line;
+    }
+    const branch = await gitRepository.fromArgs(args).currentBranch();
+    return branch ? parseReleaseLine(branch, args.release_branch_prefixes || DEFAULT_BRANCH_PREFIXES) : null;
+}
+
+/**
+ * Check whether a version belongs to a release line.
+ * @param {SemVerInfo} version - The version.
+ * @param {ReleaseLine} line - The line.
+ * @returns {boolean} True if the version is in the line.
+ */
+function isInLine(version, line) {
+    return version.major === line.major && (line.minor === null || version.minor === line.minor);
+}
+
+/**
+ * Check whether a version belongs to a release line or to an older one, so that it can precede its releases.
+ * @param {SemVerInfo} version - The version.
+ * @param {ReleaseLine} line - The line.
+ * @returns {boolean} True if the version is not newer than the line.
+ */
+function isUpToLine(version, line) {
+    return version.major < line.major || isInLine(version, line) || (line.minor !== null && version.major === line.major && version.minor < line.minor);
+}
+
+/**
+ * Check that a new release stays inside a release line.
+ * @param {SemVerInfo} version - The version of the new release.
+ * @param {ReleaseLine|null} line - The line, null if the release is not made on a maintenance branch.
+ * @param {string} releaseType - The release type, used in messages.
+ * @returns {void} Nothing.
+ * @throws {Error} If the version leaves the line.
+ */
+function assertInLine(version, line, releaseType) {
+    if (line && !isInLine(version, line)) {
+        throw new Error(`A ${releaseType} release (${semver.format({...version, description: ""})}) leaves the ${line.name} line of ${line.source}: release it from another branch.`);
+    }
+}
+
+module.exports = {
+    DEFAULT_BRANCH_PREFIXES,
+    validateBranchPrefixes,
+    parseReleaseLine,
+    getReleaseLine,
+    isInLine,
+    isUpToLine,
+    assertInLine
+};
@@ -0,0 +1,120 @@
+/**
+ * This module formats release notes as Markdown (through the changelog template), JSON or plain text,
+ * so that other tools can consume them without parsing the changelog file.
+ * @module src/release_notes
+ * @project js-changelog
+ */
+"use strict"
+
+const constants = require("./constants");
+const changelog = require("./changelog");
+const {ChangelogRelease, CommandLineArgs, ReleaseListEntry, ReleaseNotes} = require("./type_definitions");
+
+/**
+ * Turn a release into machine-readable notes.
+ * @param {ChangelogRelease} release - The release.
+ * @returns {ReleaseNotes} The release notes.
+ */
+function toReleaseNotes(release) {
+    return {
+        version: release.title,
+        tag: release.tag,
+        notes: release.notes,
+        date: release.date,
+        compare: {from: release.previousTag, to: release.tag || "HEAD", url: release.href},
+        contributors: release.contributors,
+        groups: release.groups.map(group => ({
+            type: group.type,
+            heading: group.heading,
+            commits: group.commits.map(commit => ({
+                hash: commit.hash,
+                author: commit.author,
+                subject: commit.subject,
+                type: commit.type,
+                scope: commit.scope,
+                breaking: commit.breaking,
+                references: commit.references
+            }))
+        }))
+    };
+}
+
+/**
+ * Format a release as plain text.
+ * @param {ChangelogRelease} release - The release.
+ * @returns {string} The release notes as plain text.
+ * @private
+ */
+function toText(release) {
+    const lines = [`${release.title} (${release.isoDate})`, ...(release.notes ? ["", release.notes] : [])];
+    for (const group of release.groups) {
+        lines.push("", `${group.heading.replace(/^#+\s*/, "")}:`);
+        group.commits.forEach(commit => lines.push(`  - ${commit.subject} (${commit.shorthash}, ${commit.author})`));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Format releases in a given output format. JSON output is an array of release notes.
+ * @param {ChangelogRelease[]} releases - The releases, newest first.
+ * @param {string} format - One of the OUTPUT_FORMATS values.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {string} The formatted releases.
+ * @throws {Error} If the format is unknown.
+ */
+function formatReleases(releases, format, args) {
+    switch (format) {
+        case constants.OUTPUT_FORMATS.MARKDOWN:
+            return changelog.render(args, releases);
+        case constants.OUTPUT_FORMATS.JSON:
+            return JSON.stringify(releases.map(toReleaseNotes), undefined, 4) + "\n";
+        case constants.OUTPUT_FORMATS.TEXT:
+            return releases.map(toText).join("\n");
+        default:
+            throw new Error(`Invalid format: "${format}". It must be one of ${Object.values(constants.OUTPUT_FORMATS)}.`);
+    }
+}
+
+/**
+ * Format a single release in a given output format. JSON output is a single release notes object.
+ * @param {ChangelogRelease} release - The release.
+ * @param {string} format - One of the OUTPUT_FORMATS values.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {string} The formatted release.
+ * @throws {Error} If the format is unknown.
+ */
+function formatRelease(release, format, args) {
+    if (format === constants.OUTPUT_FORMATS.JSON) {
+        return JSON.stringify(toReleaseNotes(release), undefined, 4) + "\n";
+    }
+    return formatReleases([release], format, args);
+}
+
+/**
+ * Format a list of release tags in a given output format: a table in markdown, aligned columns in plain text.
+ * @param {ReleaseListEntry[]} entries - The release tags, sorted by SemVer precedence.
+ * @param {string} format - One of the OUTPUT_FORMATS values.
+ * @returns {string} The formatted list.
+ * @throws {Error} If the format is unknown.
+ */
+function formatReleaseList(entries, format) {
+    switch (format) {
+        case constants.OUTPUT_FORMATS.MARKDOWN:
+            return ["| Release | Date | Commit |", "| --- | --- | --- |", ...entries.map(entry => `| ${entry.tag} | ${entry.date.slice(0, 10)} | ${entry.sha.slice(0, 7)} |`)].join("\n") + "\n";
+        case constants.OUTPUT_FORMATS.JSON:
+            return JSON.stringify(entries, undefined, 4) + "\n";
+        case constants.OUTPUT_FORMATS.TEXT: {
+            const width = Math.max(0, ...entries.map(entry => entry.tag.length));
+            return entries.map(entry => `${entry.tag.padEnd(width)}  ${entry.date.slice(0, 10)}  ${entry.sha.slice(0, 7)}\n`).join("");
+        }
+        default:
+            throw new Error(`Invalid format: "${format}". It must be one of ${Object.values(constants.OUTPUT_FORMATS)}.`);
+    }
+}
+
+module.exports = {
+    toReleaseNotes,
+    formatReleases,
+    formatRelease,
+    formatReleaseList
+};
@@ -0,0 +1,802 @@
+/**
+ * This module exposes the programmatic API of js-changelog: a Releaser runs the release pipeline
+ * (branch check, version bump, changelog, commit, tag, push), emits an event after each step and
+ * returns structured results instead of printing them.
+ * @module src/releaser
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const EventEmitter = require("events");
+const constants = require("./constants");
+const config = require("./config");
+const changelog = require("./changelog");
+const changelogFile = require("./changelog_file");
+const checks = require("./checks");
+const commitLint = require("./commit_lint");
+const commitTypes = require("./commit_types");
+const gitRepository = require("./git_repository");
+const hooks = require("./hooks");
+const npmRegistry = require("./npm_registry");
+const versionFiles = require("./version_files");
+const releaseNotes = require("./release_notes");
+const releaseJournal = require("./release_journal");
+const semver = require("./semver");
+const support = require("./support");
+const tagTemplates = require("./tag_templates");
+const workspaces = require("./workspaces");
+const {ChangelogFileUpdate, CommandLineArgs, CommitLintResult, Logger, PublishTarget, ReleaseJournal, ReleaseListEntry, ReleaseOptions, ReleaseResult, ReleaserOptions, SnapshotVersion, TagMigration, TagSignature, UnreleasedChanges} = require("./type_definitions");
+
+/**
+ * A logger discarding everything, for the queries whose output is read by other tools.
+ * @type {Logger}
+ */
+const SILENT_LOGGER = {log: () => undefined, error: () => undefined};
+
+/**
+ * Runs releases and related commands on the git repository of the current directory.
+ * Emits the RELEASE_EVENTS events, each with the release context: {type, oldVersion, newVersion, tag} plus,
+ * depending on the step, the commitSha or the error.
+ * @example
+ * const {Releaser} = require("@cionzo/js-changelog");
+ * const releaser = new Releaser({changelogTemplate: "./configs/changelog-template.hbs", logger: myLogger});
+ * releaser.on("tag", ({tag}) => notify(tag));
+ * const result = await releaser.release({type: "minor"});
+ */
+class Releaser extends EventEmitter {
+
+    /**
+     * Create a releaser. Options override the configuration file, which overrides the defaults.
+     * @param {ReleaserOptions} [options] - The settings, named as in configuration files, plus an optional logger.
+     * @throws {Error} If the options or the configuration are invalid.
+     */
+    constructor(options = {}) {
+        super();
+        const {logger, git, config: configFile, ...settings} = options;
+        config.validateConfig(settings, "the Releaser options");
+        this.logger = logger || console;
+        this.git = git || gitRepository.DEFAULT_REPOSITORY;
+        this.args = {...config.applyConfig({...config.toArgs(settings), config: configFile}), logger: this.logger, git: this.git};
+    }
+
+    /**
+     * Create a releaser from command-line arguments already processed by parsing.processArgs.
+     * @param {CommandLineArgs} args - Command line arguments.
+     * @returns {Releaser} The releaser.
+     */
+    static fromArgs(args) {
+        const releaser = new Releaser({config: args.config, logger: args.logger, git: args.git});
+        releaser.args = {...args, logger: releaser.logger, git: releaser.git};
+        return releaser;
+    }
+
+    /**
+     * Get the current release.
+     * @returns {Promise<string>} A promise that resolves to the current release tag.
+     */
+    async currentRelease() {
+        return (await support.currentRelease({...this.args, verbose: false})).trim();
+    }
+
+    /**
+     * Compute the next release tag, without releasing. A Release-As trailer in the commits made after the current
+     * release forces the version, whatever the type.
+     * @param {string} type - One of the RELEASE_TYPES values, or AUTO_RELEASE_TYPE to infer it from the commits.
+     * @param {string} [prereleaseId] - The pre-release identifier of pre-releases (defaults to the prerelease_id argument).
+     * @returns {Promise<string>} A promise that resolves to the next release tag.
+     * @throws {Error} If the type is auto and no commit is releasable, the type cannot be applied to the current release,
+     * the forced version is invalid or the release leaves the release line of a maintenance branch.
+     */
+    async nextRelease(type, prereleaseId) {
+        // Nothing is logged, so that the tag can be read from the output of --next.
+        return support.computeNewReleaseTag({
+            ...this.args,
+            action: {name: "printNextRelease", release: type},
+            prerelease_id: prereleaseId || this.args.prerelease_id,
+            logger: SILENT_LOGGER,
+            verbose: false
+        });
+    }
+
+    /**
+     * List the release tags, sorted by SemVer precedence from the lowest to the highest.
+     * @returns {Promise<ReleaseListEntry[]>} A promise that resolves to the release tags with their date and commit.
+     */
+    async listReleases() {
+        const scheme = tagTemplates.getTagScheme(this.args);
+        const entries = [];
+        for (const tag of await support.getReleaseTags(this.args)) {
+            entries.push({tag, version: semver.format({...scheme.parse(tag), description: ""}), date: await this.git.commitDate(tag), sha: await this.git.revParse(tag)});
+        }
+        return entries;
+    }
+
+    /**
+     * Get the commits between two releases, grouped by type.
+     * @param {string} from - The older release, whose commits are left out.
+     * @param {string} to - The newer release.
+     * @param {string} [format] - One of the OUTPUT_FORMATS values (defaults to the configured format).
+     * @returns {Promise<string>} A promise that resolves to the formatted commits.
+     * @throws {Error} If a release does not exist.
+     */
+    async diff(from, to, format = this.args.format) {
+        await this.assertRevisions([from, to]);
+        return releaseNotes.formatRelease(await changelog.getRangeRelease(this.args, from, to), format, this.args);
+    }
+
+    /**
+     * Get the changes made after a release.
+     * @param {string} version - The release.
+     * @returns {Promise<UnreleasedChanges>} A promise that resolves to the number of commits made after the release
+     * and the release type they require.
+     * @throws {Error} If the release does not exist.
+     */
+    async changesSince(version) {
+        if (version !== constants.SEMVER_ZERO) {
+            await this.assertRevisions([version]);
+        }
+        const messages = await support.getCommitMessagesSince(version, undefined, this.git);
+        const choice = commitTypes.chooseReleaseType(messages, commitTypes.getCommitTypes(this.args));
+        return {since: version, commits: messages.length, releaseType: choice ? choice.releaseType : null};
+    }
+
+    /**
+     * Render the changelog and write it to the changelog output file, keeping its preserved parts.
+     * @param {string} [version] - The version of the changes not released yet (defaults to the current release).
+     * @returns {Promise<string>} A promise that resolves to the written changelog.
+     */
+    async updateChangelog(version) {
+        const versionTagStr = (version || await this.currentRelease()).trim();
+        const releases = await changelog.getReleases(this.args, versionTagStr);
+        const {text} = changelogFile.formatChangelog(this.args, releases, this.args.changelog_output);
+        fs.writeFileSync(this.args.changelog_output, text);
+        this.logger.log(`Changelog for version ${versionTagStr} created.`);
+        return text;
+    }
+
+    /**
+     * Regenerate the whole changelog from the release tags, listing every commit once, and log a summary.
+     * The hand-written parts between preserve markers are kept in the section of their release.
+     * @returns {Promise<ChangelogFileUpdate>} A promise that resolves to the written changelog.
+     */
+    async rebuildChangelog() {
+        const releases = await changelog.getReleases(this.args, await this.currentRelease(), {deduplicate: true});
+        const update = changelogFile.formatChangelog(this.args, releases, this.args.changelog_output);
+        fs.writeFileSync(this.args.changelog_output, update.text);
+
+        const duplicates = releases.reduce((count, release) => count + release.duplicates.length, 0);
+        this.logger.log(`Changelog rebuilt from ${releases.filter(release => release.tag).length} release tag(s): ${duplicates} duplicate commit(s) left out, ${update.preserved.length} preserved part(s) kept.`);
+        return update;
+    }
+
+    /**
+     * Add the release sections missing from the changelog file, without rewriting the rest of it.
+     * @param {string[]} [versions] - The tags of the releases to add if missing (defaults to every release tag).
+     * @returns {Promise<string[]>} A promise that resolves to the tags of the added releases.
+     * @throws {Error} If the changelog does not exist yet or a version is not a release tag.
+     */
+    async backfillChangelog(versions = []) {
+        const path = this.args.changelog_output;
+        if (!fs.existsSync(path)) {
+            throw new Error(`${path} does not exist: run --rebuild to create it.`);
+        }
+
+        const releases = await changelog.getReleases(this.args, await this.currentRelease(), {deduplicate: true});
+        const update = changelogFile.backfillChangelog(this.args, releases, fs.readFileSync(path).toString(), versions);
+        if (update.added.length) {
+            fs.writeFileSync(path, update.text);
+            this.logger.log(`Added ${update.added.length} release section(s) to ${path}: ${update.added.join(", ")}.`);
+        } else {
+            this.logger.log(`No release section missing from ${path}.`);
+        }
+        return update.added;
+    }
+
+    /**
+     * Get the notes of a release.
+     * @param {string} version - The version of the release, or "Unreleased".
+     * @param {string} [format] - One of the OUTPUT_FORMATS values (defaults to the configured format).
+     * @returns {Promise<string>} A promise that resolves to the formatted notes.
+     * @throws {Error} If there is no release with the given version.
+     */
+    async notes(version, format = this.args.format) {
+        const releases = await changelog.getReleases(this.args, await this.currentRelease());
+        const release = releases.find(candidate => candidate.title === version.trim() || (!candidate.tag && version.trim().toLowerCase() === changelog.UNRELEASED_TITLE.toLowerCase()));
+        if (!release) {
+            throw new Error(`No release ${version} found. Available releases: ${releases.map(candidate => candidate.title).join(", ")}.`);
+        }
+        return releaseNotes.formatRelease(release, format, this.args);
+    }
+
+    /**
+     * Compute the snapshot version of HEAD and write it to package.json and the other version files, without
+     * committing nor tagging. No pre-release check is run, so that CI builds can run on a detached HEAD.
+     * @param {object} [options] - The snapshot options.
+     * @param {string} [options.id] - The pre-release identifier (defaults to the snapshotId setting).
+     * @param {boolean} [options.print] - Indicates whether to only log the version, without writing it.
+     * @returns {Promise<SnapshotVersion>} A promise that resolves to the snapshot version.
+     * @throws {Error} If the current release cannot be parsed or a version file cannot be updated.
+     */
+    async snapshot(options = {}) {
+        const args = {...this.args, snapshot_id: options.id || this.args.snapshot_id};
+        const snapshot = await support.computeSnapshotVersion(args);
+        if (options.print) {
+            this.logger.log(snapshot.version);
+            return {...snapshot, files: []};
+        }
+
+        const fileUpdates = await versionFiles.renderVersionFiles(args, snapshot.tag);
+        if (args.dry_run) {
+            this.logger.log(`[dry run] Snapshot version: ${snapshot.version}`);
+            for (const update of fileUpdates) {
+                this.logger.log(`[dry run] Changes to ${update.path}:`);
+                this.logger.log(support.diffLines(update.current, update.updated));
+            }
+            return {...snapshot, files: []};
+        }
+        fileUpdates.forEach(update => fs.writeFileSync(update.path, update.updated));
+        this.logger.log(`Snapshot version ${snapshot.version} (${snapshot.releaseType} release of ${snapshot.current} with ${snapshot.commits} commit(s), at ${snapshot.sha}) written to ${fileUpdates.map(update => update.path).join(", ")}.`);
+        return {...snapshot, files: fileUpdates.map(update => update.path)};
+    }
+
+    /**
+     * Verify the signatures of release tags and log a report.
+     * @param {string[]} [tags] - The tags to verify (defaults to every release tag, or every workspace package tag
+     * when the workspaces setting is on).
+     * @returns {Promise<TagSignature[]>} A promise that resolves to the outcome of each verification, if every tag is signed.
+     * @throws {Error} If a tag is not signed or its signature is bad.
+     */
+    async verify(tags = []) {
+        const verified = [...tags];
+        if (!verified.length && this.args.workspaces) {
+            for (const pkg of workspaces.getPackages(this.args.package_json)) {
+                verified.push(...await workspaces.getPackageTags(pkg.name, this.git));
+            }
+        } else if (!verified.length) {
+            verified.push(...await support.getReleaseTags(this.args));
+        }
+
+        const results = [];
+        for (const tag of verified) {
+            results.push(await this.git.verifyTag(tag));
+        }
+        this.logger.log("Release tag signatures:");
+        results.forEach(result => this.logger.log(`  [${result.status}] ${result.tag}: ${result.message}`));
+
+        const unsigned = results.filter(result => result.status !== constants.TAG_SIGNATURE_STATUSES.SIGNED);
+        if (unsigned.length) {
+            throw new Error(`${unsigned.length} of ${results.length} release tag(s) are not signed: ${unsigned.map(result => result.tag).join(", ")}.`);
+        }
+        return results;
+    }
+
+    /**
+     * Lint a commit message against the commit types and log the problems found.
+     * @param {string} message - The commit message, possibly with the comments git adds to the message file.
+     * @returns {Promise<string[]>} A promise that resolves to the problems found, empty if the message is valid.
+     */
+    async lintCommit(message) {
+        const cleaned = commitLint.cleanCommitMessage(message, await commitLint.getCleanupSettings(this.args));
+        const problems = commitLint.lintCommitMessage(cleaned, this.args);
+        if (problems.length) {
+            this.logger.error(`Invalid commit message "${cleaned.split("\n")[0]}":`);
+            problems.forEach(problem => this.logger.error(`  - ${problem}`));
+        }
+        return problems;
+    }
+
+    /**
+     * Lint the messages of the commits of a revision range and log a report.
+     * @param {string} range - The revision range, such as "main..feature".
+     * @returns {Promise<CommitLintResult[]>} A promise that resolves to the lint result of each commit, oldest first.
+     * @throws {Error} If the range is not valid.
+     */
+    async lintRange(range) {
+        const results = await commitLint.lintRange(this.args, range);
+        this.logger.log(`Commit messages of ${range}:`);
+        results.forEach(result => {
+            this.logger.log(`  [${result.problems.length ? "invalid" : "valid"}] ${result.hash.slice(0, 7)} ${result.subject}`);
+            result.problems.forEach(problem => this.logger.log(`      - ${problem}`));
+        });
+        const invalid = results.filter(result => result.problems.length);
+        if (invalid.length) {
+            this.logger.error(`${invalid.length} of ${results.length} commit message(s) are invalid.`);
+        }
+        return results;
+    }
+
+    /**
+     * Install the commit-msg hook linting the messages of new commits.
+     * @returns {Promise<string>} A promise that resolves to the path of the installed hook.
+     * @throws {Error} If another commit-msg hook is installed.
+     */
+    async installHooks() {
+        const hookPath = await commitLint.installCommitMsgHook(this.args);
+        this.logger.log(`Commit-msg hook installed in ${hookPath}.`);
+        return hookPath;
+    }
+
+    /**
+     * List the tags that do not follow the tag template, such as the tags of other tools, and optionally create
+     * an alias following the template for each of them, on the same commit.
+     * @param {object} [options] - The migration options.
+     * @param {boolean} [options.createAliases] - Indicates whether to create the missing aliases.
+     * @returns {Promise<TagMigration[]>} A promise that resolves to the migration of each tag not following the template.
+     * @throws {Error} If no tag template is configured.
+     */
+    async migrateTags(options = {}) {
+        if (!this.args.tag_template) {
+            throw new Error("No tag template to migrate to: set the tagTemplate setting or pass --tag-template.");
+        }
+        const scheme = tagTemplates.getTagScheme(this.args);
+        const tags = await this.git.tags();
+        const migrations = [];
+
+        this.logger.log(`Tags not following the tag template ${scheme.template}:`);
+        for (const tag of tags.filter(candidate => !scheme.parse(candidate))) {
+            const version = tagTemplates.findTagVersion(tag);
+            const alias = version ? scheme.format(semver.parse(version)) : null;
+            const migration = {tag, version, alias, exists: Boolean(alias) && tags.includes(alias), created: false};
+            if (alias && !migration.exists && options.createAliases) {
+                await this.git.tag(alias, {revision: await this.git.revParse(tag)});
+                tags.push(alias);
+                migration.created = true;
+            }
+            migrations.push(migration);
+
+            const state = !alias ? "no version found" : migration.created ? `created ${alias}` : migration.exists ? `${alias} already exists` : `alias ${alias}`;
+            this.logger.log(`  ${tag}: ${state}`);
+        }
+
+        const created = migrations.filter(migration => migration.created).map(migration => migration.alias);
+        if (created.length) {
+            this.logger.log(`Created ${created.length} alias(es): push them with git push ${this.args.remote} ${created.join(" ")}`);
+        } else if (migrations.some(migration => migration.alias && !migration.exists)) {
+            this.logger.log("Run again with --create-aliases to create the missing aliases.");
+        }
+        return migrations;
+    }
+
+    /**
+     * Create a new release: run the pre-release checks, bump the version, update the changelog, commit, tag and push.
+     * Every step is journaled and undone if a later step fails.
+     * @param {ReleaseOptions} options - The release type and options.
+     * @returns {Promise<ReleaseResult>} A promise that resolves to the release result.
+     * @throws {Error} If an error occurs during the release process.
+     */
+    async release(options) {
+        const args = {
+            ...this.args,
+            action: {name: "createRelease", release: options.type},
+            prerelease_id: options.prereleaseId || this.args.prerelease_id,
+            dry_run: options.dryRun !== undefined ? options.dryRun : this.args.dry_run,
+            workspaces: options.workspaces !== undefined ? options.workspaces : this.args.workspaces,
+            skip_checks: options.skipChecks || this.args.skip_checks,
+            release_title: options.title,
+            release_notes: options.notes
+        };
+        const context = {type: options.type, oldVersion: null, newVersion: null, tag: null};
+
+        try {
+            this.emit(constants.RELEASE_EVENTS.START, context);
+            const result = args.workspaces ? await this.releaseWorkspaces(args, context) : await this.releaseRoot(args, context);
+            this.emit(constants.RELEASE_EVENTS.DONE, {...context, commitSha: result.commitSha});
+            return result;
+        } catch (error) {
+            this.emit(constants.RELEASE_EVENTS.FAILED, {...context, error});
+            // Handle errors and throw an informative message.
+            throw new Error(`Failed creating ${options.type} release: ${error.message}`);
+        }
+    }
+
+    /**
+     * Undo the changes left behind by an interrupted release, as recorded in its journal.
+     * @returns {Promise<boolean>} A promise that resolves to true if a release was rolled back, false if there was none.
+     * @throws {Error} If some changes cannot be undone.
+     */
+    async recover() {
+        const journal = await releaseJournal.readJournal(this.git);
+        if (!journal) {
+            this.logger.log("No interrupted release to recover.");
+            return false;
+        }
+
+        this.logger.log(`Recovering the release of ${journal.tag} started on ${journal.startedOn}.`);
+        await releaseJournal.rollback(journal, this.logger, this.git);
+        this.logger.log(`Release of ${journal.tag} rolled back to ${journal.head}.`);
+        return true;
+    }
+
+    /**
+     * Release the root package.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {object} context - The release context, updated with the versions and the tag.
+     * @returns {Promise<ReleaseResult>} A promise that resolves to the release result.
+     * @private
+     */
+    async releaseRoot(args, context) {
+        // Compute the new release tag.
+        context.oldVersion = await this.currentRelease();
+        const newTag = await support.computeNewReleaseTag(args);
+        Object.assign(context, {newVersion: newTag, tag: newTag});
+        this.logger.log(`New release tag is ${newTag}`);
+        this.emit(constants.RELEASE_EVENTS.VERSION, context);
+
+        const commits = (await support.getCommitMessagesSince(context.oldVersion, undefined, this.git)).length;
+        const version = semver.format({...tagTemplates.parseReleaseTag(tagTemplates.getTagScheme(args), newTag), description: ""});
+        const publishTargets = getPublishTargets(args, [{packageJsonPath: args.package_json, version}]);
+        await checks.assertChecks(args, {tags: [newTag], since: context.oldVersion, commits, publish: publishTargets}, this.logger);
+
+        const fileUpdates = await versionFiles.renderVersionFiles(args, newTag);
+        const changelogReleases = await changelog.getReleases(args, newTag);
+        Object.assign(changelogReleases[0], {title: args.release_title || changelogReleases[0].title, notes: args.release_notes || null});
+        const changelogSection = changelog.render(args, changelogReleases.slice(0, 1));
+        const tagOptions = getTagOptions(args, changelogSection);
+        const pushRefs = await this.getPushRefs([newTag]);
+        const commands = getReleaseGitCommands(args, newTag, fileUpdates.map(update => update.path), tagOptions, pushRefs);
+        const result = {...context, commitSha: null, changelog: changelogSection, dryRun: Boolean(args.dry_run), packages: [], published: []};
+
+        if (args.dry_run) {
+            this.logger.log(`[dry run] Planned release tag: ${newTag}`);
+            for (const update of fileUpdates) {
+                this.logger.log(`[dry run] Changes to ${update.path}:`);
+                this.logger.log(support.diffLines(update.current, update.updated));
+            }
+            this.logger.log(`[dry run] Changelog section to be written to ${args.changelog_output}:`);
+            this.logger.log(changelogSection.trim());
+            this.logger.log("[dry run] Git commands to be run:");
+            [...commands.bump, ...commands.changelog, ...commands.publish].forEach(command => this.logger.log(`  ${gitRepository.formatCommand(command)}`));
+            this.previewPublish(args, publishTargets);
+            this.previewHooks(args);
+            return result;
+        }
+
+        const journal = await releaseJournal.startJournal(newTag, this.git);
+        try {
+            // Update the version in package.json and in the other version files.
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_BUMP, context, journal);
+            for (const update of fileUpdates) {
+                await releaseJournal.recordFile(journal, update.path, this.git);
+                fs.writeFileSync(update.path, update.updated);
+            }
+            this.emit(constants.RELEASE_EVENTS.BUMP, context);
+            await this.runHook(args, hooks.HOOK_NAMES.POST_BUMP, context, journal);
+            // Stage and commit the version bump, along with the files changed by the hooks.
+            await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.COMMIT}, this.git);
+            await this.git.add(fileUpdates.map(update => update.path));
+            await this.git.commit(support.formatCommitMessage(args, newTag), {sign: args.sign});
+
+            // Update the changelog.
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_CHANGELOG, context, journal);
+            await releaseJournal.recordFile(journal, args.changelog_output, this.git);
+            fs.writeFileSync(args.changelog_output, changelogFile.formatChangelog(args, changelogReleases, args.changelog_output).text);
+            this.logger.log(`Changelog for version ${newTag} created.`);
+            this.emit(constants.RELEASE_EVENTS.CHANGELOG, context);
+            await this.runHook(args, hooks.HOOK_NAMES.POST_CHANGELOG, context, journal);
+            // Stage the changelog changes and amend the commit to include them.
+            await this.git.add([args.changelog_output]);
+            await this.git.commit(null, {amend: true, sign: args.sign});
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_TAG, context, journal);
+            result.commitSha = await this.git.revParse("HEAD");
+            this.emit(constants.RELEASE_EVENTS.COMMIT, {...context, commitSha: result.commitSha});
+
+            // Tag the current commit with the new release tag.
+            await support.tagCurrentCommit(args, newTag, tagOptions);
+            await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.TAG, tag: newTag}, this.git);
+            this.emit(constants.RELEASE_EVENTS.TAG, context);
+            // Publish the tagged commit before pushing, so that nothing reaches the remote if publishing fails.
+            await this.publish(args, publishTargets, result.published, context);
+            // Push the release commit and its tag to the remote repository.
+            await this.git.push(args.remote, pushRefs);
+            this.emit(constants.RELEASE_EVENTS.PUSH, context);
+        } catch (error) {
+            await this.rollback(journal, error, result.published);
+        }
+
+        await releaseJournal.clearJournal(this.git);
+        await this.runPostReleaseHook(args, context);
+        return result;
+    }
+
+    /**
+     * Release the workspace packages changed since their last release, in a single commit with one name@version
+     * tag per package. Each package gets its own changelog and the dependency ranges on released packages are updated.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {object} context - The release context, updated with the new tags.
+     * @returns {Promise<ReleaseResult>} A promise that resolves to the release result.
+     * @throws {Error} If no package needs a release.
+     * @private
+     */
+    async releaseWorkspaces(args, context) {
+        const packages = workspaces.getPackages(args.package_json);
+        const releases = await workspaces.planReleases(packages, args);
+        const commits = releases.reduce((sum, release) => sum + release.commits, 0);
+        const publishTargets = getPublishTargets(args, releases.map(release => ({packageJsonPath: release.pkg.packageJsonPath, version: release.newVersion})));
+        await checks.assertChecks(args, {tags: releases.map(release => release.newTag), since: "the last release of each package", commits, publish: publishTargets}, this.logger);
+        if (!releases.length) {
+            throw new Error("No workspace package needs a release.");
+        }
+        releases.forEach(release => this.logger.log(`${release.pkg.name}: ${release.lastTag || release.pkg.version} -> ${release.newTag}`));
+        const newTags = releases.map(release => release.newTag);
+        context.tag = newTags.join(", ");
+        context.packages = releases.map(release => ({name: release.pkg.name, oldVersion: release.pkg.version, newVersion: release.newVersion, tag: release.newTag}));
+        this.emit(constants.RELEASE_EVENTS.VERSION, context);
+
+        const packageJsonUpdates = [...workspaces.renderPackageJsonUpdates(packages, releases), ...await workspaces.renderLockfileUpdates(args.package_json, releases, this.git)];
+        const changelogUpdates = [];
+        for (const release of releases) {
+            const changelogReleases = await changelog.getReleases(args, release.newTag, {tags: release.tags, path: release.pkg.dir});
+            changelogUpdates.push({path: workspaces.getChangelogPath(release.pkg), releases: changelogReleases});
+        }
+        const files = [...packageJsonUpdates, ...changelogUpdates].map(update => update.path);
+        const commitMessage = support.formatCommitMessage(args, newTags.join(", "));
+        const sections = changelogUpdates.map(update => changelog.render(args, update.releases.slice(0, 1)));
+        const tagOptions = sections.map(section => getTagOptions(args, section));
+        const pushRefs = await this.getPushRefs(newTags);
+        const commands = [
+            ["add", "--", ...files],
+            gitRepository.getCommitArgs(commitMessage, {sign: args.sign}),
+            ...newTags.map((tag, index) => gitRepository.getTagArgs(tag, tagOptions[index])),
+            ["push", args.remote, ...pushRefs]
+        ];
+        const result = {...context, commitSha: null, changelog: sections.join("\n"), dryRun: Boolean(args.dry_run), published: []};
+
+        if (args.dry_run) {
+            for (const update of packageJsonUpdates) {
+                this.logger.log(`[dry run] Changes to ${update.path}:`);
+                this.logger.log(support.diffLines(update.current, update.updated));
+            }
+            changelogUpdates.forEach((update, index) => {
+                this.logger.log(`[dry run] Changelog section to be written to ${update.path}:`);
+                this.logger.log(sections[index].trim());
+            });
+            this.logger.log("[dry run] Git commands to be run:");
+            commands.forEach(command => this.logger.log(`  ${gitRepository.formatCommand(command)}`));
+            this.previewPublish(args, publishTargets);
+            this.previewHooks(args);
+            return result;
+        }
+
+        const journal = await releaseJournal.startJournal(context.tag, this.git);
+        try {
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_BUMP, context, journal);
+            for (const update of packageJsonUpdates) {
+                await releaseJournal.recordFile(journal, update.path, this.git);
+                fs.writeFileSync(update.path, update.updated);
+            }
+            this.emit(constants.RELEASE_EVENTS.BUMP, context);
+            await this.runHook(args, hooks.HOOK_NAMES.POST_BUMP, context, journal);
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_CHANGELOG, context, journal);
+            for (const update of changelogUpdates) {
+                await releaseJournal.recordFile(journal, update.path, this.git);
+                fs.writeFileSync(update.path, changelogFile.formatChangelog(args, update.releases, update.path).text);
+            }
+            this.emit(constants.RELEASE_EVENTS.CHANGELOG, context);
+            await this.runHook(args, hooks.HOOK_NAMES.POST_CHANGELOG, context, journal);
+
+            await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.COMMIT}, this.git);
+            await this.git.add(files);
+            await this.git.commit(commitMessage, {sign: args.sign});
+            await this.runHook(args, hooks.HOOK_NAMES.PRE_TAG, context, journal);
+            result.commitSha = await this.git.revParse("HEAD");
+            this.emit(constants.RELEASE_EVENTS.COMMIT, {...context, commitSha: result.commitSha});
+
+            for (const [index, tag] of newTags.entries()) {
+                await workspaces.tagPackageRelease(tag, tagOptions[index], this.git);
+                await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.TAG, tag}, this.git);
+            }
+            this.emit(constants.RELEASE_EVENTS.TAG, context);
+            await this.publish(args, publishTargets, result.published, context);
+            await this.git.push(args.remote, pushRefs);
+            this.emit(constants.RELEASE_EVENTS.PUSH, context);
+        } catch (error) {
+            await this.rollback(journal, error, result.published);
+        }
+
+        await releaseJournal.clearJournal(this.git);
+        await this.runPostReleaseHook(args, context);
+        return result;
+    }
+
+    /**
+     * Run the hook configured for a release step. The files it changes are staged; when the release commit
+     * already exists, it is amended to include them. They are recorded in the journal, even if the hook fails, so
+     * that a rollback restores them.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {string} name - One of the HOOK_NAMES values.
+     * @param {object} context - The release context.
+     * @param {ReleaseJournal} journal - The journal of the release.
+     * @returns {Promise<void>} A promise that resolves when the hook completes.
+     * @throws {Error} If the hook fails.
+     * @private
+     */
+    async runHook(args, name, context, journal) {
+        const changedBefore = await this.git.changedFiles();
+        let changed = [];
+        try {
+            changed = await hooks.runHook(args.hooks, name, context, this.logger, this.git);
+        } catch (error) {
+            changed = (await this.git.changedFiles()).filter(file => !changedBefore.includes(file));
+            throw error;
+        } finally {
+            if (changed.length) {
+                await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.HOOK, hook: name, paths: changed}, this.git);
+            }
+        }
+        if (changed.length && name === hooks.HOOK_NAMES.PRE_TAG) {
+            await this.git.commit(null, {amend: true, sign: args.sign});
+        }
+    }
+
+    /**
+     * Run the postRelease hook. The release is already pushed, so it is not rolled back if the hook fails.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {object} context - The release context.
+     * @returns {Promise<void>} A promise that resolves when the hook completes.
+     * @throws {Error} If the hook fails.
+     * @private
+     */
+    async runPostReleaseHook(args, context) {
+        try {
+            await hooks.runHook(args.hooks, hooks.HOOK_NAMES.POST_RELEASE, context, this.logger, this.git);
+        } catch (error) {
+            throw new Error(`${context.tag} was released, but ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}`);
+        }
+    }
+
+    /**
+     * Check that some revisions, such as release tags, exist.
+     * @param {string[]} revisions - The revisions.
+     * @returns {Promise<void>} A promise that resolves if every revision exists.
+     * @throws {Error} If a revision does not exist.
+     * @private
+     */
+    async assertRevisions(revisions) {
+        for (const revision of revisions) {
+            try {
+                await this.git.revParse(revision);
+            } catch (error) {
+                throw new Error(`No release ${revision} found. Run --list to see the releases.`);
+            }
+        }
+    }
+
+    /**
+     * Publish the released packages to the npm registry, in order.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {PublishTarget[]} targets - The packages to publish, none if publishing is off.
+     * @param {string[]} published - The name@version of the published packages, updated as they are published.
+     * @param {object} context - The release context.
+     * @returns {Promise<void>} A promise that resolves when every package is published.
+     * @throws {Error} If npm publish fails.
+     * @private
+     */
+    async publish(args, targets, published, context) {
+        if (!targets.length) {
+            return;
+        }
+        for (const target of targets) {
+            this.logger.log(`Publishing ${target.name}@${target.version} with the ${target.distTag} dist-tag${args.registry ? ` to ${args.registry}` : ""}.`);
+            await npmRegistry.publishPackage(target, args.registry);
+            published.push(`${target.name}@${target.version}`);
+        }
+        this.emit(constants.RELEASE_EVENTS.PUBLISH, {...context, published});
+    }
+
+    /**
+     * Log the npm commands publishing the released packages, for dry runs.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @param {PublishTarget[]} targets - The packages to publish, none if publishing is off.
+     * @returns {void} Nothing.
+     * @private
+     */
+    previewPublish(args, targets) {
+        if (targets.length) {
+            this.logger.log("[dry run] npm commands to be run:");
+            targets.forEach(target => this.logger.log(`  npm ${npmRegistry.getPublishArgs(target, args.registry).join(" ")} (in ${target.dir})`));
+        }
+    }
+
+    /**
+     * Log the configured hooks, for dry runs.
+     * @param {CommandLineArgs} args - The release arguments.
+     * @returns {void} Nothing.
+     * @private
+     */
+    previewHooks(args) {
+        const descriptions = hooks.describeHooks(args.hooks);
+        if (descriptions.length) {
+            this.logger.log("[dry run] Hooks to be run:");
+            descriptions.forEach(description => this.logger.log(`  ${description}`));
+        }
+    }
+
+    /**
+     * Get the refs pushed by a release: the current branch and the release tags, which a plain push leaves out.
+     * @param {string[]} tags - The release tags.
+     * @returns {Promise<string[]>} A promise that resolves to the refs, without the branch if HEAD is detached.
+     * @private
+     */
+    async getPushRefs(tags) {
+        const branch = await this.git.currentBranch();
+        return [...(branch ? [branch] : []), ...tags.map(tag => `refs/tags/${tag}`)];
+    }
+
+    /**
+     * Roll back a failed release and rethrow the error that made it fail. A published version cannot be taken back,
+     * so once a package is published the release commit and tags it was published from are kept instead.
+     * @param {object} journal - The journal of the release.
+     * @param {Error} error - The error that made the release fail.
+     * @param {string[]} [published] - The name@version of the packages already published.
+     * @returns {Promise<void>} A promise that never resolves: it rejects with the given error once rolled back.
+     * @throws {Error} The given error, or the rollback error if the rollback fails too.
+     * @private
+     */
+    async rollback(journal, error, published = []) {
+        if (published.length) {
+            await releaseJournal.clearJournal(this.git);
+            const tags = journal.steps.filter(step => step.type === releaseJournal.STEP_TYPES.TAG).map(step => step.tag);
+            const push = gitRepository.formatCommand(["push", this.args.remote, ...await this.getPushRefs(tags)]);
+            throw new Error(`${error.message}\n${published.join(", ")} is already published, so the release commit and tags are kept: push them with ${push}.`);
+        }
+        this.logger.error(`Release step failed, rolling back: ${error.message}`);
+        this.emit(constants.RELEASE_EVENTS.ROLLBACK, {tag: journal.tag, error});
+        await releaseJournal.rollback(journal, this.logger, this.git);
+        throw error;
+    }
+}
+
+/**
+ * Get the options of a release tag: annotated and signed tags hold the release notes as their message.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} notes - The changelog section of the release.
+ * @returns {object} The options of GitRepository.tag.
+ * @private
+ */
+function getTagOptions(args, notes) {
+    return args.annotated_tags || args.sign ? {message: notes.trim(), sign: Boolean(args.sign)} : {};
+}
+
+/**
+ * Get the packages a release publishes to the npm registry, if publishing is on.
+ * Private workspace packages are not published.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {Array<{packageJsonPath: string, version: string}>} packages - The released packages and their new version.
+ * @returns {PublishTarget[]} The packages to publish.
+ * @throws {Error} If the root package is private.
+ * @private
+ */
+function getPublishTargets(args, packages) {
+    if (!args.publish) {
+        return [];
+    }
+    const targets = packages.map(pkg => npmRegistry.getPublishTarget(pkg.packageJsonPath, pkg.version, args.dist_tags));
+    if (!args.workspaces && targets[0].private) {
+        throw new Error(`${targets[0].name} is private in ${args.package_json}: it cannot be published.`);
+    }
+    return targets.filter(target => !target.private);
+}
+
+/**
+ * Get the git commands run by a release, grouped by the step they belong to.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} newTag - The tag of the new release.
+ * @param {string[]} files - The version files bumped by the release.
+ * @param {object} tagOptions - The options of the release tag.
+ * @param {string[]} pushRefs - The refs pushed by the release.
+ * @returns {{bump: Array<Array<string>>, changelog: Array<Array<string>>, publish: Array<Array<string>>}} The arguments of the git commands run
+ * after bumping the version files, after updating the changelog and to publish the release.
+ * @private
+ */
+function getReleaseGitCommands(args, newTag, files, tagOptions, pushRefs) {
+    return {
+        bump: [["add", "--", ...files], gitRepository.getCommitArgs(support.formatCommitMessage(args, newTag), {sign: args.sign})],
+        changelog: [["add", "--", args.changelog_output], gitRepository.getCommitArgs(null, {amend: true, sign: args.sign})],
+        publish: [gitRepository.getTagArgs(newTag, tagOptions), ["push", args.remote, ...pushRefs]]
+    };
+}
+
+module.exports = {
+    Releaser
+};
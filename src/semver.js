@@ -0,0 +1,180 @@
+/**
+ * This module parses, compares and increments SemVer 2.0 versions, including pre-release and build metadata,
+ * as specified at https://semver.org/spec/v2.0.0.html.
+ * @module src/semver
+ * @project js-changelog
+ */
+"use strict"
+
+const constants = require("./constants")
+const {SemVerInfo} = require("./type_definitions")
+
+/**
+ * Parse a version tag into its components.
+ * @param {string} versionTag - The version tag to parse.
+ * @returns {SemVerInfo} The components of the version tag.
+ * @throws {Error} If the version tag cannot be parsed.
+ */
+function parse(versionTag) {
+    const match = constants.SEMVER_TAG_PATTERN.exec(versionTag.trim());
+
+    if (!match || !match.groups) {
+        throw new Error(`Unable to parse version tag '${versionTag}'. It does not match the expected pattern.`);
+    }
+
+    const {description, major, minor, patch, prerelease, build} = match.groups;
+
+    return {
+        description,
+        major: Number(major),
+        minor: Number(minor),
+        patch: Number(patch),
+        prerelease: prerelease ? prerelease.split(".") : [],
+        build: build ? build.split(".") : []
+    };
+}
+
+/**
+ * Check whether a string is a valid version tag.
+ * @param {string} versionTag - The string to check.
+ * @returns {boolean} True if the string can be parsed as a version tag.
+ */
+function isValid(versionTag) {
+    return constants.SEMVER_TAG_PATTERN.test(versionTag.trim());
+}
+
+/**
+ * Format version components as a version tag.
+ * @param {SemVerInfo} version - The version components.
+ * @returns {string} The version tag.
+ */
+function format(version) {
+    const prerelease = version.prerelease.length ? `-${version.prerelease.join(".")}` : "";
+    const build = version.build.length ? `+${version.build.join(".")}` : "";
+    return `${version.description}${version.major}.${version.minor}.${version.patch}${prerelease}${build}`;
+}
+
+/**
+ * Compare two pre-release identifiers: numeric identifiers are compared numerically and have
+ * lower precedence than alphanumeric ones, which are compared in ASCII order.
+ * @param {string} a - The first identifier.
+ * @param {string} b - The second identifier.
+ * @returns {number} A negative number, zero or a positive number if a is lower, equal or greater than b.
+ * @private
+ */
+function compareIdentifiers(a, b) {
+    const aNumeric = /^\d+$/.test(a);
+    const bNumeric = /^\d+$/.test(b);
+
+    if (aNumeric && bNumeric) {
+        return Number(a) - Number(b);
+    }
+    if (aNumeric !== bNumeric) {
+        return aNumeric ? -1 : 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two versions by SemVer precedence. Build metadata and description prefixes are ignored.
+ * @param {SemVerInfo} a - The first version.
+ * @param {SemVerInfo} b - The second version.
+ * @returns {number} A negative number, zero or a positive number if a precedes, equals or follows b.
+ */
+function compare(a, b) {
+    const core = (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+    if (core) {
+        return core;
+    }
+
+    // A version without pre-release identifiers follows any pre-release of the same version.
+    if (!a.prerelease.length || !b.prerelease.length) {
+        return b.prerelease.length - a.prerelease.length;
+    }
+
+    for (let i = 0; i < Math.min(a.prerelease.length, b.prerelease.length); i++) {
+        const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+        if (result) {
+            return result;
+        }
+    }
+    return a.prerelease.length - b.prerelease.length;
+}
+
+/**
+ * Compute the version following a given one. Build metadata is dropped.
+ * Major, minor and patch increments of a pre-release only drop its pre-release identifiers
+ * when the pre-release already targets that increment: for instance, a minor release of 1.4.0-rc.1 is 1.4.0.
+ * A pre-release of a release starts a pre-release of its next patch; a pre-release with a new identifier
+ * restarts numbering from 1. Given a pre-release identifier, major, minor and patch increments make a pre-release
+ * of the version they lead to: for instance, a minor beta of 1.3.0 is 1.4.0-beta.1.
+ * A pre-release never lowers the precedence of the current one, so 1.4.0-rc.1 cannot become 1.4.0-beta.1.
+ * @param {SemVerInfo} current - The current version.
+ * @param {string} releaseType - One of the RELEASE_TYPES values.
+ * @param {string} [prereleaseId] - The pre-release identifier, required for pre-release increments (e.g. "beta").
+ * @returns {SemVerInfo} The new version.
+ * @throws {Error} If the release type or the pre-release identifier is invalid or cannot be applied to the current
+ * version.
+ */
+function increment(current, releaseType, prereleaseId) {
+    const isPrerelease = current.prerelease.length > 0;
+    const next = {...current, prerelease: [], build: []};
+
+    switch (releaseType) {
+        case constants.RELEASE_TYPES.MAJOR:
+            if (!isPrerelease || current.minor || current.patch) {
+                Object.assign(next, {major: current.major + 1, minor: 0, patch: 0});
+            }
+            break;
+        case constants.RELEASE_TYPES.MINOR:
+            if (!isPrerelease || current.patch) {
+                Object.assign(next, {minor: current.minor + 1, patch: 0});
+            }
+            break;
+        case constants.RELEASE_TYPES.PATCH:
+            if (!isPrerelease) {
+                next.patch = current.patch + 1;
+            }
+            break;
+        case constants.RELEASE_TYPES.PRERELEASE:
+            if (!prereleaseId) {
+                throw new Error(`Invalid pre-release identifier: "${prereleaseId}".`);
+            }
+            if (!isPrerelease) {
+                next.patch = current.patch + 1;
+            }
+            break;
+        case constants.RELEASE_TYPES.GRADUATE:
+            if (!isPrerelease) {
+                throw new Error(`Unable to graduate ${format(current)}: it is not a pre-release.`);
+            }
+            if (prereleaseId) {
+                throw new Error(`Unable to graduate ${format(current)} to a "${prereleaseId}" pre-release: graduating releases it.`);
+            }
+            break;
+        default:
+            throw new Error(`Invalid release type: "${releaseType}". It must be one of ${Object.values(constants.RELEASE_TYPES)}.`);
+    }
+
+    if (prereleaseId) {
+        if (!/^[0-9A-Za-z-]+$/.test(prereleaseId)) {
+            throw new Error(`Invalid pre-release identifier: "${prereleaseId}".`);
+        }
+        const [id, counter] = current.prerelease;
+        const sameVersion = isPrerelease && next.major === current.major && next.minor === current.minor && next.patch === current.patch;
+        next.prerelease = sameVersion && id === prereleaseId && /^\d+$/.test(counter) ? [id, String(Number(counter) + 1)] : [prereleaseId, "1"];
+        if (sameVersion && compare(next, current) <= 0) {
+            throw new Error(`Unable to make a "${prereleaseId}" pre-release of ${format(current)}: ${format(next)} would not follow it.`);
+        }
+    }
+
+    return next;
+}
+
+module.exports = {
+    parse,
+    isValid,
+    format,
+    compare,
+    increment
+};
@@ -9,185 +9,389 @@
  */
 "use strict"
 
-const CLI_COMMANDS = require("./cli_commands");
+const gitRepository = require("./git_repository");
 const constants = require("./constants")
-const {SemVerInfo, CommandLineArgs} = require("./type_definitions")
+const semver = require("./semver")
+const commitTypes = require("./commit_types")
+const tagTemplates = require("./tag_templates")
+const releaseLines = require("./release_lines")
+const commitDirectives = require("./commit_directives")
+const {SemVerInfo, CommandLineArgs, SnapshotVersion} = require("./type_definitions")
+const {GitRepository} = gitRepository
 
 
 
 /**
  * Check if the 'git' command is available in the system.
+ * @param {GitRepository} [git] - The repository.
  * @returns {Promise<boolean>} A promise that resolves to true if the 'git' command is available; otherwise, false.
  * @throws {Error} If the 'git' command is not available.
  * @private
  */
-async function isGitCommandAvailable() {
-    try {
-        await CLI_COMMANDS.execute("git --version");
-        return true;
-    } catch (error) {
+async function isGitCommandAvailable(git = gitRepository.DEFAULT_REPOSITORY) {
+    if (!await git.isAvailable()) {
         throw new Error("Git command is unavailable. Please install Git or add it to your PATH.");
     }
+    return true;
 }
 
 /**
- * Get the associated tag for a given commit SHA.
- * @param {string} commitSHA - The commit SHA to find the associated tag.
- * @returns {Promise<string|null>} A promise that resolves to the associated tag or null if no tag is found.
+ * Get the release tags of the repository, sorted by SemVer precedence from the lowest to the highest.
+ * Tags that do not follow the tag naming scheme are ignored.
+ * @param {CommandLineArgs} args - Command line arguments, giving the repository and the tag naming scheme.
+ * @returns {Promise<string[]>} A promise that resolves to the sorted release tags.
  * @private
  */
-async function getAssociatedTag(commitSHA) {
-    try {
-        return await CLI_COMMANDS.execute(`git describe --tags ${commitSHA}`);
-    } catch (error) {
-        return null; // No associated tag found
-    }
+async function getReleaseTags(args) {
+    const scheme = tagTemplates.getTagScheme(args);
+    return (await gitRepository.fromArgs(args).tags())
+        .map(tag => ({tag, version: scheme.parse(tag)}))
+        .filter(release => release.version)
+        .sort((a, b) => semver.compare(a.version, b.version))
+        .map(release => release.tag);
 }
+
+
 /**
- * Get the SHA of the last tagged commit.
- * @returns {Promise<string|null>} A promise that resolves to the SHA of the last tagged commit or null if no tags exist.
- * @private
+ * Get the release tags of the line of the current branch, sorted by SemVer precedence from the lowest to the highest.
+ * On a maintenance branch, such as "release/1.2", the tags of newer lines are left out; on other branches, every
+ * release tag is kept.
+ * @param {CommandLineArgs} args - Command line arguments, giving the repository, the tag naming scheme and the release line.
+ * @returns {Promise<string[]>} A promise that resolves to the sorted release tags.
  */
-async function getLastTaggedCommitSHA() {
-    try {
-        return await CLI_COMMANDS.execute("git rev-list --tags --max-count=1");
-    } catch (error) {
-        return null; // No tags exist
+async function getLineReleaseTags(args) {
+    const tags = await getReleaseTags(args);
+    const line = await releaseLines.getReleaseLine(args);
+    if (!line) {
+        return tags;
     }
+    const scheme = tagTemplates.getTagScheme(args);
+    return tags.filter(tag => releaseLines.isUpToLine(scheme.parse(tag), line));
 }
 
-
 /**
  * Parse a version tag into its components.
  * @param {string} versionTag - The version tag to parse.
- * @returns {object} An object with 'description', 'major', 'minor', and 'patch' properties as numbers.
+ * @param {CommandLineArgs} [args] - Command line arguments, giving the tag naming scheme.
+ * @returns {SemVerInfo} The components of the version tag, including pre-release and build metadata identifiers.
  * @throws {Error} If the version tag cannot be parsed.
  * @private
  */
-function parseVersionTag(versionTag) {
-    const match = constants.SEMVER_TAG_PATTERN.exec(versionTag);
-
-    if (!match || !match.groups) {
-        throw new Error(`Unable to parse version tag '${versionTag}'. It does not match the expected pattern.`);
-    }
-
-    const {description, major, minor, patch} = match.groups;
-
-    return {description, major: Number(major), minor: Number(minor), patch: Number(patch)};
+function parseVersionTag(versionTag, args = {}) {
+    return tagTemplates.parseReleaseTag(tagTemplates.getTagScheme(args), versionTag);
 }
 
 /**
  * Tag the current commit with a given tag.
+ * @param {CommandLineArgs} args - Command line arguments, giving the repository and the tag naming scheme.
  * @param {string} tag - The tag to apply to the current commit.
+ * @param {object} [options] - The tag options: the message of an annotated tag and whether to sign it.
  * @returns {Promise<void>} A promise that resolves when the commit is tagged successfully.
- * @throws {Error} If the provided tag does not match the SEMVER format.
+ * @throws {Error} If the provided tag does not follow the tag naming scheme.
  * @private
  */
-async function tagCurrentCommit(tag) {
-    if (!tag.match(constants.SEMVER_TAG_PATTERN)) {
-        throw new Error(`The provided tag (${tag}) does not conform to SEMVER format (${constants.SEMVER_TAG_PATTERN}).`);
+async function tagCurrentCommit(args, tag, options = {}) {
+    if (!tagTemplates.getTagScheme(args).parse(tag)) {
+        throw new Error(`The provided tag (${tag}) does not conform to ${args.tag_template ? `the tag template ${args.tag_template}` : `SEMVER format (${constants.SEMVER_TAG_PATTERN})`}.`);
     }
-    await CLI_COMMANDS.execute(`git tag ${tag}`);
+    await gitRepository.fromArgs(args).tag(tag, options);
 }
 
 
 
 /**
  * Get the current release version or its components.
+ * The current release is the highest release tag by SemVer precedence.
  * @param {CommandLineArgs} args - Command line arguments.
  * @param {boolean} [parsed] - If true, parse the version tag and return its components.
  * @returns {Promise<string|SemVerInfo>} A promise that resolves to the current release version as a string or an object
- * with 'description', 'major', 'minor', and 'patch' properties if 'parsed' is true.
+ * with 'description', 'major', 'minor', 'patch', 'prerelease' and 'build' properties if 'parsed' is true.
  * @throws {Error} If the 'git' command is not available or if 'parsed' is true and the version tag cannot be parsed.
  */
 async function currentRelease(args,parsed = false) {
-    if (!await isGitCommandAvailable()) {
-        throw new Error("Git command is unavailable. Please install Git or add it to your PATH.");
-    }
+    const git = gitRepository.fromArgs(args);
+    await isGitCommandAvailable(git);
 
-    const lastTaggedCommitSHA = await getLastTaggedCommitSHA();
-    const currentReleaseStr = lastTaggedCommitSHA ? await getAssociatedTag(lastTaggedCommitSHA) : constants.SEMVER_ZERO;
+    const releaseTags = await getLineReleaseTags(args);
+    const currentReleaseStr = releaseTags.length ? releaseTags[releaseTags.length - 1] : constants.SEMVER_ZERO;
 
     if (parsed) {
-        return parseVersionTag(currentReleaseStr);
+        return parseVersionTag(currentReleaseStr, args);
     }
 
     if (args.verbose) {
-        console.log(`Current release is ${currentReleaseStr}`);
+        (args.logger || console).log(`Current release is ${currentReleaseStr}`);
     }
     return currentReleaseStr;
 }
 
 /**
- * Compute a new release tag based on the current version and the specified release type.
+ * Get the messages of the commits made after a given release.
+ * @param {string} versionTag - The release tag to start from, or SEMVER_ZERO to consider the whole history.
+ * @param {string} [path] - If set, only the commits changing this path are considered.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<string[]>} A promise that resolves to the whole commit messages, newest first.
+ * @private
+ */
+async function getCommitMessagesSince(versionTag, path, git = gitRepository.DEFAULT_REPOSITORY) {
+    const range = versionTag === constants.SEMVER_ZERO ? "HEAD" : `${versionTag}..HEAD`;
+    const output = await git.log(range, {format: "%B%x1e", path});
+    return output.split("\x1e").map(message => message.trim()).filter(message => message);
+}
+
+/**
+ * Choose the release type required by a list of commits, according to the commit types.
+ * @param {string[]} messages - The messages of the commits to release.
+ * @param {string} since - The release the commits were made after, used in messages.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {string} One of the RELEASE_TYPES values.
+ * @throws {Error} If none of the commits is releasable.
+ */
+function chooseReleaseType(messages, since, args) {
+    const choice = commitTypes.chooseReleaseType(messages, commitTypes.getCommitTypes(args));
+    if (!choice) {
+        throw new Error(`No releasable commits since ${since}: none of the ${messages.length} commit(s) has a type requiring a release.`);
+    }
+
+    (args.logger || console).log(`Choosing a ${choice.releaseType} release: ${choice.messages.length} of ${messages.length} commit(s) since ${since} are of type "${choice.type}" (e.g. "${choice.messages[0].split("\n")[0]}").`);
+    return choice.releaseType;
+}
+
+/**
+ * Infer the release type from the commits made after the current release.
+ * Breaking changes require a major release, features a minor one and fixes a patch one, unless the
+ * commit types are configured differently.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<string>} A promise that resolves to one of the RELEASE_TYPES values.
+ * @throws {Error} If no commit since the current release is releasable.
+ */
+async function inferReleaseType(args) {
+    const currentReleaseStr = (await currentRelease(args)).trim();
+    return chooseReleaseType(await getCommitMessagesSince(currentReleaseStr, undefined, gitRepository.fromArgs(args)), currentReleaseStr, args);
+}
+
+/**
+ * Find the version forced by a Release-As trailer in the commits made after a release.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {SemVerInfo} current - The version of the release.
+ * @param {string} currentTag - The tag of the release.
+ * @returns {Promise<{version: SemVerInfo, subject: string}|null>} A promise that resolves to the forced version, with
+ * the tag prefix of the release, and the subject of the commit forcing it, or null if no commit forces one.
+ * @throws {Error} If the forced version is not a valid version higher than the release.
+ */
+async function getForcedVersion(args, current, currentTag) {
+    const messages = await getCommitMessagesSince(currentTag.trim(), undefined, gitRepository.fromArgs(args));
+    const forced = commitDirectives.findReleaseAs(messages);
+    if (!forced) {
+        return null;
+    }
+
+    const version = {...forced.version, description: current.description};
+    const subject = forced.message.split("\n")[0];
+    if (semver.compare(version, current) <= 0) {
+        throw new Error(`The Release-As trailer of "${subject}" asks for ${semver.format(forced.version)}, which is not higher than ${currentTag.trim()}.`);
+    }
+    return {version, subject};
+}
+
+/**
+ * Compute a new release tag based on the current version and the specified release type, unless a commit made
+ * after the current release forces the version with a Release-As trailer.
  * @param {CommandLineArgs} args - Command line arguments.
  * @returns {Promise<string>} A promise that resolves to the new release tag.
- * @throws {Error} If the current release cannot be parsed or if the release type is invalid.
+ * @throws {Error} If the current release cannot be parsed, if the release type is invalid or if the forced version
+ * is invalid.
  */
 async function computeNewReleaseTag(args) {
     let current = "\"undefined\"";
     try {
-        current = await currentRelease(args,true);
-        let newVersion;
-
-        switch (args.action.release) {
-            case constants.RELEASE_TYPES.MAJOR:
-                newVersion = `${current.description}${current.major + 1}.0.0`;
-                break;
-            case constants.RELEASE_TYPES.MINOR:
-                newVersion = `${current.description}${current.major}.${current.minor + 1}.0`;
-                break;
-            case constants.RELEASE_TYPES.PATCH:
-                newVersion = `${current.description}${current.major}.${current.minor}.${current.patch + 1}`;
-                break;
-            default:
-                throw new Error(`Invalid release type: "${args.action.release}". It must be one of ${Object.keys(constants.RELEASE_TYPES)}.`);
+        current = await currentRelease(args);
+        const scheme = tagTemplates.getTagScheme(args);
+        const version = tagTemplates.parseReleaseTag(scheme, current);
+        const forced = await getForcedVersion(args, version, current);
+        if (forced) {
+            releaseLines.assertInLine(forced.version, await releaseLines.getReleaseLine(args), "Release-As");
+            (args.logger || console).log(`Releasing ${scheme.format(forced.version)} as asked by the Release-As trailer of "${forced.subject}".`);
+            return scheme.format(forced.version);
         }
 
-        return newVersion;
+        const releaseType = args.action.release === constants.AUTO_RELEASE_TYPE ? await inferReleaseType(args) : args.action.release;
+        const next = semver.increment(version, releaseType, args.prerelease_id);
+        releaseLines.assertInLine(next, await releaseLines.getReleaseLine(args), releaseType);
+        return scheme.format(next);
     } catch (error) {
-        throw new Error(`Unable to compute a new release tag starting from ${current}.\n Args: ${args}.\nError: ${error.message}`);
+        throw new Error(`Unable to compute a new release tag starting from ${current}.\nError: ${error.message}`);
     }
 }
 
 /**
- * Checks if the current branch is updated to the latest remote version.
- * @returns {Promise<boolean>} A Promise that resolves to true if the branch is updated.
- * @throws {Error} If the current local branch is not updated to the remote version.
+ * Compute the snapshot version of HEAD, for the builds made between releases: the next release, as inferred from the
+ * commits since the current release (a patch one if none is releasable, or if it would leave the release line of a
+ * maintenance branch), with a pre-release made of the snapshot identifier, the number of commits since the current
+ * release and the short SHA of HEAD, e.g. 1.4.0-canary.5.g1a2b3c4. HEAD can be detached.
+ * @param {CommandLineArgs} args - Command line arguments; snapshot_id is the pre-release identifier.
+ * @returns {Promise<SnapshotVersion>} A promise that resolves to the snapshot version.
+ * @throws {Error} If the snapshot identifier is invalid or the current release cannot be parsed.
  */
-async function isBranchUpdated() {
-    // Get the name of the current branch (excluding the '*').
-    const currentBranch = (await CLI_COMMANDS.execute("git branch"))
-        .trim()
-        .replaceAll("*", "");
+async function computeSnapshotVersion(args) {
+    const id = args.snapshot_id || constants.DEFAULT_SNAPSHOT_ID;
+    if (!/^[0-9A-Za-z-]+$/.test(id)) {
+        throw new Error(`Invalid snapshot identifier: "${id}". It must only contain letters, digits and hyphens.`);
+    }
+    const git = gitRepository.fromArgs(args);
+    const current = (await currentRelease({...args, verbose: false})).trim();
+    const messages = await getCommitMessagesSince(current, undefined, git);
+    const choice = commitTypes.chooseReleaseType(messages, commitTypes.getCommitTypes(args));
+    let releaseType = choice ? choice.releaseType : constants.RELEASE_TYPES.PATCH;
+    const sha = (await git.revParse("HEAD")).slice(0, 7);
+
+    const scheme = tagTemplates.getTagScheme(args);
+    const line = await releaseLines.getReleaseLine(args);
+    const version = tagTemplates.parseReleaseTag(scheme, current);
+    if (line && !releaseLines.isInLine(semver.increment(version, releaseType), line)) {
+        releaseType = constants.RELEASE_TYPES.PATCH;
+    }
+    const next = semver.increment(version, releaseType);
+    // The "g" prefix keeps the SHA an alphanumeric identifier, like in git describe, even if it only has digits.
+    const snapshot = {...next, prerelease: [id, String(messages.length), `g${sha}`]};
+    return {
+        version: semver.format({...snapshot, description: ""}),
+        tag: scheme.format(snapshot),
+        current,
+        releaseType,
+        commits: messages.length,
+        sha
+    };
+}
 
-    // Fetch the latest changes from the remote repository for the current branch.
-    await CLI_COMMANDS.execute(`git fetch origin ${currentBranch}`);
+/**
+ * Format the message of the version bump commit.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} version - The new version, or the new tags of a workspace release.
+ * @returns {string} The commit message.
+ */
+function formatCommitMessage(args, version) {
+    return (args.commit_message || constants.COMMIT_MESSAGE_FORMAT).replaceAll("{version}", version);
+}
 
-    // Get the current local and remote commit versions.
-    const currentLocalVersion = await CLI_COMMANDS.execute("git rev-parse HEAD");
-    const currentRemoteVersion = await CLI_COMMANDS.execute("git rev-parse @{u}");
+/**
+ * Longest edit script beyond which two texts are shown as entirely replaced, to bound the memory of the comparison.
+ * @type {number}
+ */
+const MAX_EDIT_DISTANCE = 1000;
 
-    // Compare local and remote versions.
-    if (currentLocalVersion !== currentRemoteVersion) {
-        console.error(`Current remote version: ${currentRemoteVersion}`);
-        console.error(`Current local version: ${currentLocalVersion}`);
-        throw new Error("Current local branch is not updated to remote version");
+/**
+ * Compare two lists of lines with the Myers algorithm, whose cost grows with the number of changes rather than with
+ * the product of the lengths.
+ * @param {string[]} a - The original lines.
+ * @param {string[]} b - The modified lines.
+ * @returns {Array<{op: string, line: string}>} The rows of the diff, in order: op is " " for unchanged lines, "-" for
+ * removed ones and "+" for added ones.
+ * @private
+ */
+function editScript(a, b) {
+    const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+    let found = a.length === 0 && b.length === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        // Furthest x reached on each diagonal k = x - y, from k = -d - 1 to k = d + 1, before this step.
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d && !found; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            found = x >= a.length && y >= b.length;
+        }
+    }
+    if (!found) {
+        return [...a.map(line => ({op: "-", line})), ...b.map(line => ({op: "+", line}))];
     }
 
-    // The branch is updated.
-    return true;
+    const rows = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const previous = k => trace[d][k + d + 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+        const previousX = previous(previousK);
+        const previousY = previousX - previousK;
+        while (x > previousX && y > previousY) {
+            rows.push({op: " ", line: a[--x]});
+            y--;
+        }
+        if (d > 0) {
+            rows.push(x === previousX ? {op: "+", line: b[--y]} : {op: "-", line: a[--x]});
+        }
+    }
+    return rows.reverse();
 }
 
+/**
+ * Build a line-based diff between two texts, prefixing removed lines with "-", added lines with "+"
+ * and unchanged lines with a space. Only the unchanged lines around the changes are kept, so that bumping
+ * a lockfile does not print all of it; the lines left out are shown as "...".
+ * @param {string} before - The original text.
+ * @param {string} after - The modified text.
+ * @param {number} [context] - The number of unchanged lines kept around each change.
+ * @returns {string} The diff, one line per row.
+ */
+function diffLines(before, after, context = 3) {
+    const a = before.split(/\r?\n/);
+    const b = after.split(/\r?\n/);
+
+    // The lines shared by the start and the end of the texts, most of a lockfile, are left out of the comparison.
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+        end++;
+    }
+    const rows = [
+        ...a.slice(0, start).map(line => ({op: " ", line})),
+        ...editScript(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+        ...a.slice(a.length - end).map(line => ({op: " ", line}))
+    ];
+
+    const kept = new Array(rows.length).fill(false);
+    rows.forEach((row, index) => {
+        if (row.op !== " ") {
+            kept.fill(true, Math.max(0, index - context), Math.min(rows.length, index + context + 1));
+        }
+    });
+    const lines = [];
+    rows.forEach((row, index) => {
+        if (kept[index]) {
+            lines.push(`${row.op} ${row.line}`);
+        } else if (index === 0 || kept[index - 1]) {
+            lines.push("  ...");
+        }
+    });
+    return lines.join("\n");
+}
 
 module.exports = {
     isGitCommandAvailable,
-    getAssociatedTag,
-    getLastTaggedCommitSHA,
+    getReleaseTags,
+    getLineReleaseTags,
     parseVersionTag,
     tagCurrentCommit,
     currentRelease,
+    getCommitMessagesSince,
+    chooseReleaseType,
+    inferReleaseType,
+    getForcedVersion,
     computeNewReleaseTag,
-    isBranchUpdated
+    computeSnapshotVersion,
+    formatCommitMessage,
+    diffLines
 
 }
\ No newline at end of file
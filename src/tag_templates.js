@@ -0,0 +1,139 @@
+/**
+ * This module maps versions to release tags and back according to the tag naming scheme.
+ * With the tagTemplate setting, such as "v{version}" or "{name}@{version}", only the tags matching the template
+ * are releases; without it, any tag made of a run of letters followed by a version is.
+ * It also finds the versions of the tags made by other schemes, so that they can be migrated.
+ * @module src/tag_templates
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const constants = require("./constants");
+const semver = require("./semver");
+const {CommandLineArgs, SemVerInfo, TagScheme} = require("./type_definitions");
+
+/**
+ * The placeholders of a tag template.
+ * @constant {object}
+ * @property {string} VERSION - The version, without prefix.
+ * @property {string} NAME - The name of the package in package.json.
+ */
+const PLACEHOLDERS = {
+    VERSION: "{version}",
+    NAME: "{name}"
+};
+
+/**
+ * Pattern of a SemVer version, with optional pre-release and build metadata.
+ * @type {string}
+ */
+const VERSION_PATTERN = "\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*)?(?:\\+[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*)?";
+
+/**
+ * Validate the tagTemplate setting.
+ * @param {*} template - The template, as read from the configuration.
+ * @returns {string|null} An error message, or null if the template is valid.
+ */
+function validateTagTemplate(template) {
+    if (typeof template !== "string" || !template.trim()) {
+        return "must be a non-empty string";
+    }
+    if (template.split(PLACEHOLDERS.VERSION).length !== 2) {
+        return `must contain the ${PLACEHOLDERS.VERSION} placeholder once`;
+    }
+    const unknown = (template.match(/\{[^}]*\}/g) || []).filter(placeholder => !Object.values(PLACEHOLDERS).includes(placeholder));
+    if (unknown.length) {
+        return `has unknown placeholders ${unknown.join(", ")} (known placeholders: ${Object.values(PLACEHOLDERS).join(", ")})`;
+    }
+    if (/[\s~^:?*[\\]/.test(template)) {
+        return "must only contain characters allowed in git tag names";
+    }
+    return null;
+}
+
+/**
+ * Read the name of the package, for the {name} placeholder.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {string} The name in package.json.
+ * @throws {Error} If package.json cannot be read or has no name.
+ * @private
+ */
+function getPackageName(args) {
+    const packageJsonPath = args.package_json || constants.PACKAGE_JSON_PATH;
+    const name = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath).toString()).name : undefined;
+    if (!name) {
+        throw new Error(`The tag template ${args.tag_template} uses ${PLACEHOLDERS.NAME}, but ${packageJsonPath} has no name.`);
+    }
+    return name;
+}
+
+/**
+ * Get the tag naming scheme of the releases.
+ * @param {CommandLineArgs} args - Command line arguments; tag_template holds the template, tag_prefix the legacy prefix.
+ * @returns {TagScheme} The scheme.
+ * @throws {Error} If the template is invalid, or uses {name} and the package has no name.
+ */
+function getTagScheme(args) {
+    const template = args.tag_template;
+    if (!template) {
+        return {
+            template: null,
+            parse: tag => semver.isValid(tag) ? semver.parse(tag) : null,
+            format: version => semver.format(typeof args.tag_prefix === "string" ? {...version, description: args.tag_prefix} : version)
+        };
+    }
+
+    const error = validateTagTemplate(template);
+    if (error) {
+        throw new Error(`The tag template ${template} ${error}.`);
+    }
+    const name = template.includes(PLACEHOLDERS.NAME) ? getPackageName(args) : null;
+    const fill = version => template.replace(PLACEHOLDERS.VERSION, version).replaceAll(PLACEHOLDERS.NAME, name);
+    const source = template.split(PLACEHOLDERS.VERSION)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replaceAll("\\{name\\}", (name || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+        .join(`(?<version>${VERSION_PATTERN})`);
+    const pattern = new RegExp(`^${source}$`);
+    return {
+        template: fill(PLACEHOLDERS.VERSION),
+        parse: tag => {
+            const match = pattern.exec(tag.trim());
+            return match ? semver.parse(match.groups.version) : null;
+        },
+        format: version => fill(semver.format({...version, description: ""}))
+    };
+}
+
+/**
+ * Parse a release tag, or SEMVER_ZERO when there is no release yet.
+ * @param {TagScheme} scheme - The tag naming scheme.
+ * @param {string} tag - The tag.
+ * @returns {SemVerInfo} The components of the version; the prefix of legacy tags is the description.
+ * @throws {Error} If the tag is not a release tag of the scheme.
+ */
+function parseReleaseTag(scheme, tag) {
+    const version = tag.trim() === constants.SEMVER_ZERO ? semver.parse(tag) : scheme.parse(tag);
+    if (!version) {
+        throw new Error(scheme.template ? `The tag ${tag} does not match the tag template ${scheme.template}.` : `Unable to parse version tag '${tag}'. It does not match the expected pattern.`);
+    }
+    return version;
+}
+
+/**
+ * Find the version of a tag made by any naming scheme, such as "release-1.2.3", "pkg@1.2.3" or "v1.2.3".
+ * @param {string} tag - The tag.
+ * @returns {string|null} The version at the end of the tag, or null if there is none.
+ */
+function findTagVersion(tag) {
+    const match = new RegExp(`(?:^|[^0-9A-Za-z.])(?<version>${VERSION_PATTERN})$`).exec(tag.trim()) || new RegExp(`^[a-zA-Z]*(?<version>${VERSION_PATTERN})$`).exec(tag.trim());
+    return match ? match.groups.version : null;
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    VERSION_PATTERN,
+    validateTagTemplate,
+    getTagScheme,
+    parseReleaseTag,
+    findTagVersion
+};
@@ -15,6 +15,8 @@
  * @property {number} major - The major version number.
  * @property {number} minor - The minor version number.
  * @property {number} patch - The patch version number.
+ * @property {string[]} prerelease - The pre-release identifiers (e.g. ["beta", "2"]), empty for releases.
+ * @property {string[]} build - The build metadata identifiers (e.g. ["build", "77"]), empty if none.
  */
 
 /**
@@ -25,9 +27,449 @@
  * @property {string} changelog_template - The path to the changelog template file.
  * @property {string} package_json - The path to the package.json file.
  * @property {boolean} verbose - Indicates whether to enable verbose output.
+ * @property {boolean} [dry_run] - Indicates whether to only preview a release.
+ * @property {string} [prerelease_id] - The pre-release identifier of a pre-release (e.g. "beta").
+ * @property {boolean} [workspaces] - Indicates whether to release the workspace packages instead of the root package.
+ * @property {string} [config] - The path to the configuration file.
+ * @property {string} [tag_prefix] - The prefix of new release tags; the prefix of the current release is kept if unset.
+ * @property {string} [tag_template] - The template of release tags, such as "v{version}"; overrides tag_prefix.
+ * @property {boolean} [create_aliases] - Indicates whether to create aliases for the tags not following the tag template.
+ * @property {string} remote - The git remote to check and push to.
+ * @property {string} commit_message - The message of the version bump commit, with a {version} placeholder.
+ * @property {CommitTypes} [commit_types] - The commit types, keyed by type.
+ * @property {string} [format] - The format of the changelog and of release notes, one of the OUTPUT_FORMATS values.
+ * @property {string} [notes_version] - The version whose release notes are printed.
+ * @property {string} [next_type] - The release type whose next version is printed, one of the RELEASE_TYPES values or "auto".
+ * @property {string[]} [diff_range] - The two releases whose commits in between are printed.
+ * @property {string} [since_version] - The release checked for changes made after it.
+ * @property {string} [lint_commit_file] - The file holding the commit message to lint, as given to a commit-msg hook.
+ * @property {string} [lint_range] - The revision range whose commit messages are linted.
+ * @property {string[]} [backfill_versions] - The releases whose missing changelog sections are added, every release if empty.
+ * @property {Logger} [logger] - The logger used instead of the console.
+ * @property {Hooks} [hooks] - The commands run around the release steps.
+ * @property {Array<string|object>} [version_files] - The files whose version is bumped besides package.json: paths or {path, pattern} objects.
+ * @property {object} [git] - The GitRepository to operate on, the repository of the current directory if unset.
+ * @property {boolean} [annotated_tags] - Indicates whether to create annotated release tags holding the release notes.
+ * @property {boolean} [sign] - Indicates whether to sign the release tags and the version bump commit.
+ * @property {string[]} [verify_tags] - The release tags whose signatures are verified, every release tag if empty.
+ * @property {CheckSettings} [checks] - The pre-release checks settings.
+ * @property {string[]} [skip_checks] - The pre-release checks to skip.
+ * @property {string} [release_title] - The title of the changelog section of the new release.
+ * @property {string} [release_notes] - Free-form notes shown in the changelog section of the new release.
+ * @property {boolean} [publish] - Indicates whether to publish the released packages to the npm registry.
+ * @property {string} [registry] - The URL of the npm registry to publish to, the one configured in npm if unset.
+ * @property {object} [dist_tags] - The npm dist-tags of pre-releases, keyed by pre-release identifier.
+ * @property {string} [snapshot_id] - The pre-release identifier of snapshot versions (e.g. "canary").
+ * @property {boolean} [print_only] - Indicates whether to print the snapshot version without writing it.
+ * @property {string} [issue_tracker] - The issue tracker whose references are linked, inferred from the remote if unset.
+ * @property {ReferencePattern[]} [references] - The custom references to link, such as the issue keys of Jira.
+ * @property {string} [mailmap] - The path of the .mailmap file merging the names and emails of contributors.
+ * @property {string} [release_line] - The release line new releases stay in (e.g. "1.x"), the line of the branch if unset.
+ * @property {string[]} [release_branch_prefixes] - The prefixes of the maintenance branches named after their line (e.g. "release").
+ */
+
+/**
+ * @typedef {object} ReleaseJournalStep
+ * @description Represents a change made by a release that can be undone.
+ * @property {string} type - The kind of step, one of the release journal STEP_TYPES.
+ * @property {string} [path] - The path of the written file (file steps only).
+ * @property {string|null} [content] - The content of the file before the release, null if it did not exist (file steps only).
+ * @property {string} [tag] - The created tag (tag steps only).
+ * @property {string} [hook] - The name of the hook (hook steps only).
+ * @property {string[]} [paths] - The paths of the files changed by the hook (hook steps only).
+ */
+
+/**
+ * @typedef {object} ReleaseJournal
+ * @description Represents the journal of a release, stored on disk until the release completes.
+ * @property {string} tag - The tag of the release.
+ * @property {string} head - The SHA of the HEAD commit before the release.
+ * @property {string} startedOn - The ISO date the release started on.
+ * @property {ReleaseJournalStep[]} steps - The steps performed so far, in order.
+ */
+
+/**
+ * @typedef {object} ChangelogCommit
+ * @description Represents a commit as exposed to changelog templates.
+ * @property {string} hash - The full SHA of the commit.
+ * @property {string} shorthash - The abbreviated SHA of the commit.
+ * @property {string} author - The name of the author.
+ * @property {string} email - The email of the author.
+ * @property {string} date - The author date in ISO format.
+ * @property {string} niceDate - The author date in human-readable format.
+ * @property {string} subject - The first line of the commit message.
+ * @property {string} body - The commit message after the subject.
+ * @property {string} message - The whole commit message.
+ * @property {string|null} href - The web URL of the commit, null if the repository has no known remote.
+ * @property {string} type - The commit type.
+ * @property {string|null} scope - The scope of the commit, if any.
+ * @property {boolean} breaking - Indicates whether the commit is a breaking change.
+ * @property {string} description - The subject without the type and scope.
+ * @property {CommitReference[]} references - The issues and pull requests referenced by the message.
+ * @property {string} linkedSubject - The subject with its references turned into Markdown links.
+ * @property {Array<{name: string, email: string}>} coAuthors - The co-authors named by Co-authored-by trailers.
+ */
+
+/**
+ * @typedef {object} CommitReference
+ * @description Represents an issue or a pull request referenced by a commit message.
+ * @property {string} id - The identifier of the issue or pull request, e.g. "45" or "JIRA-901".
+ * @property {string} text - The reference as written in the message, e.g. "#45".
+ * @property {string} kind - The kind of reference, one of the REFERENCE_KINDS values.
+ * @property {string} href - The web URL of the issue or pull request.
+ * @property {boolean} closes - Indicates whether the message closes the issue, as in "fixes #45".
+ */
+
+/**
+ * @typedef {object} ReferencePattern
+ * @description Represents a kind of reference to look for in commit messages.
+ * @property {string} pattern - The regular expression of the reference; the identifier is its "id" group, its first
+ * matching group or the whole match.
+ * @property {string} url - The URL template of the reference, with the {id} and {repository} placeholders.
+ * @property {string} [kind] - The kind of reference, one of the REFERENCE_KINDS values (defaults to issue).
+ */
+
+/**
+ * @typedef {object} Contributor
+ * @description Represents a person who authored or co-authored commits of a release.
+ * @property {string} name - The name, as mapped by the .mailmap file.
+ * @property {string} email - The email, as mapped by the .mailmap file.
+ * @property {number} commits - The number of commits of the person.
+ */
+
+/**
+ * @typedef {object} ChangelogRelease
+ * @description Represents a release as exposed to changelog templates.
+ * @property {string} title - The title of the release section.
+ * @property {string|null} tag - The tag of the release, null if it is not tagged yet.
+ * @property {string|null} notes - Free-form notes shown before the commits, null if there are none.
+ * @property {string|null} previousTag - The tag of the previous release, null for the first release.
+ * @property {string} date - The date of the release in ISO format.
+ * @property {string} isoDate - The date of the release as YYYY-MM-DD.
+ * @property {string} niceDate - The date of the release in human-readable format.
+ * @property {ChangelogCommit[]} commits - The commits of the release, oldest first.
+ * @property {ChangelogCommit[]} duplicates - The commits left out because an older release lists the same changes.
+ * @property {CommitGroup[]} groups - The commits shown in the changelog, grouped by type.
+ * @property {Array<{id: string, message: string, href: string, author: string, commit: ChangelogCommit}>} merges - The
+ * pull requests referenced by the commits of the release.
+ * @property {Array<{commit: ChangelogCommit, fixes: Array<{id: string, href: string}>}>} fixes - The commits of the
+ * release closing issues, with the closed issues.
+ * @property {Contributor[]} contributors - The authors and co-authors of the commits, the most active first.
+ * @property {string|null} href - The web URL comparing the release with the previous one, if any.
+ */
+
+/**
+ * @typedef {object} WorkspacePackage
+ * @description Represents a package of the npm workspaces.
+ * @property {string} name - The name of the package.
+ * @property {string} version - The version in its package.json.
+ * @property {string} dir - The directory of the package.
+ * @property {string} packageJsonPath - The path of its package.json.
+ * @property {object} data - The content of its package.json.
+ */
+
+/**
+ * @typedef {object} WorkspaceRelease
+ * @description Represents the planned release of a workspace package.
+ * @property {WorkspacePackage} pkg - The released package.
+ * @property {string[]} tags - The existing release tags of the package, from the oldest to the newest.
+ * @property {string|null} lastTag - The tag of its last release, null if it was never released.
+ * @property {string} newVersion - The new version.
+ * @property {string} newTag - The tag of the new release, as name@version.
+ * @property {number} commits - The number of commits changing the package since its last release.
+ */
+
+/**
+ * @typedef {object} CommitType
+ * @description Represents a type of commit, declared at the start of commit messages (e.g. "feat: ...").
+ * @property {string} heading - The heading of the changelog section listing the commits of this type.
+ * @property {string|null} bump - The release type required by the commits of this type, null if none.
+ * @property {boolean} changelog - Indicates whether the commits of this type are shown in the changelog.
+ * @property {string[]} aliases - Other names of the type, e.g. "feature" for "feat".
+ */
+
+/**
+ * @typedef {{[type: string]: CommitType}} CommitTypes
+ * @description Maps commit type names to their definition, in the order their changelog sections are shown.
+ * Custom commit types may map a name to false to remove a default type.
+ */
+
+/**
+ * @typedef {object} ParsedCommitMessage
+ * @description Represents a commit message parsed according to the commit types.
+ * @property {string} type - The commit type, "break" for breaking changes and "other" for unknown types.
+ * @property {string|null} scope - The scope declared between parentheses, if any.
+ * @property {boolean} breaking - Indicates whether the commit is a breaking change.
+ * @property {string} description - The subject without the type and scope.
+ */
+
+/**
+ * @typedef {object} CommitGroup
+ * @description Represents the commits of a release of the same type, shown as a changelog section.
+ * @property {string} type - The commit type.
+ * @property {string} heading - The heading of the section.
+ * @property {ChangelogCommit[]} commits - The commits of the section.
+ */
+
+/**
+ * @typedef {object} ReleaseNotes
+ * @description Represents the machine-readable notes of a release.
+ * @property {string} version - The version, or "Unreleased".
+ * @property {string|null} tag - The tag of the release, null if it is not tagged yet.
+ * @property {string|null} notes - Free-form notes of the release, null if there are none.
+ * @property {string} date - The date of the release in ISO format.
+ * @property {{from: (string|null), to: string, url: (string|null)}} compare - The range of the release changes.
+ * @property {Contributor[]} contributors - The authors and co-authors of the commits, the most active first.
+ * @property {Array<{type: string, heading: string, commits: Array<object>}>} groups - The commits grouped by type;
+ * each commit has hash, author, subject, type, scope, breaking and references properties.
+ */
+
+/**
+ * @typedef {object} SettingDefinition
+ * @description Represents a setting that can be read from the configuration.
+ * @property {string} arg - The name of the matching command-line argument.
+ * @property {*} default - The default value.
+ * @property {Function} validate - Returns an error message for an invalid value, null otherwise.
+ * @property {Function} [resolve] - Turns a configured value into the argument value, for instance merging it with the default.
+ */
+
+/**
+ * @typedef {object} GitUpstream
+ * @description Represents the remote branch a local branch tracks.
+ * @property {string} remote - The remote.
+ * @property {string} branch - The branch on the remote.
+ */
+
+/**
+ * @typedef {object} TagScheme
+ * @description Represents how release tags are named.
+ * @property {string|null} template - The tag template, with the {name} placeholder filled in; null for legacy tags.
+ * @property {Function} parse - Returns the SemVerInfo of a release tag, null if the tag does not follow the scheme.
+ * @property {Function} format - Returns the release tag of a SemVerInfo.
+ */
+
+/**
+ * @typedef {object} TagMigration
+ * @description Represents the migration of a tag not following the tag template.
+ * @property {string} tag - The tag.
+ * @property {string|null} version - The version found at the end of the tag, null if there is none.
+ * @property {string|null} alias - The tag following the template for the same version, null if there is no version.
+ * @property {boolean} exists - Indicates whether the alias already existed.
+ * @property {boolean} created - Indicates whether the alias has been created.
+ */
+
+/**
+ * @typedef {object} PreservedBlock
+ * @description Represents a hand-written part of the changelog, between preserve markers.
+ * @property {string|null} release - The release the part belongs to, null for the parts before every section.
+ * @property {string} body - The text between the markers.
+ * @property {string} text - The part, markers included.
+ */
+
+/**
+ * @typedef {object} ChangelogFileUpdate
+ * @description Represents a changelog to be written over the changelog file.
+ * @property {string} text - The changelog.
+ * @property {PreservedBlock[]} preserved - The preserved parts of the file.
+ * @property {PreservedBlock[]} orphans - The preserved parts kept at the end, for lack of a section to go to.
+ * @property {string[]} added - The tags of the back-filled releases.
+ */
+
+/**
+ * @typedef {object} ReleaseListEntry
+ * @description Represents a release tag in the list of releases.
+ * @property {string} tag - The release tag.
+ * @property {string} version - The version of the tag, without prefix.
+ * @property {string} date - The committer date of the tagged commit in ISO format.
+ * @property {string} sha - The SHA of the tagged commit.
+ */
+
+/**
+ * @typedef {object} UnreleasedChanges
+ * @description Represents the changes made after a release.
+ * @property {string} since - The release.
+ * @property {number} commits - The number of commits made after it.
+ * @property {string|null} releaseType - The release type the commits require, null if none of them is releasable.
+ */
+
+/**
+ * @typedef {object} CommitLintResult
+ * @description Represents the outcome of the linting of a commit message.
+ * @property {string} hash - The SHA of the commit.
+ * @property {string} subject - The subject of the commit message.
+ * @property {string[]} problems - The problems found, empty if the message is valid.
+ */
+
+/**
+ * @typedef {object} ReleaseLine
+ * @description Represents a line of releases maintained on its own branch, such as 1.x or 1.2.x.
+ * @property {string} name - The name of the line, e.g. "1.2.x".
+ * @property {string} source - The branch or the argument the line was read from, e.g. "release/1.2".
+ * @property {number} major - The major version of the line.
+ * @property {number|null} minor - The minor version of the line, null if the line spans a whole major version.
+ */
+
+/**
+ * @typedef {object} SnapshotVersion
+ * @description Represents the snapshot version of a build made between releases.
+ * @property {string} version - The snapshot version, e.g. "1.4.0-canary.5.g1a2b3c4".
+ * @property {string} tag - The snapshot version formatted as a release tag (snapshots are never tagged).
+ * @property {string} current - The current release tag.
+ * @property {string} releaseType - The release type of the next release, one of the RELEASE_TYPES values.
+ * @property {number} commits - The number of commits since the current release.
+ * @property {string} sha - The short SHA of HEAD.
+ * @property {string[]} [files] - The files the version was written to, empty if it was only printed.
+ */
+
+/**
+ * @typedef {object} TagSignature
+ * @description Represents the outcome of the verification of a tag signature.
+ * @property {string} tag - The tag name.
+ * @property {string} status - One of the TAG_SIGNATURE_STATUSES values.
+ * @property {string} message - What the verification found.
+ */
+
+/**
+ * @typedef {object} CheckSettings
+ * @description Represents which pre-release checks run, keyed by one of the CHECK_NAMES values; false disables a check.
+ * @property {boolean} [clean] - Check that the working tree has no uncommitted changes.
+ * @property {boolean|string[]} [branch] - Check that HEAD is on a branch; an array lists the allowed branch patterns, such as "release/*".
+ * @property {boolean} [upstream] - Check that the branch tracks a branch of the remote and is in sync with it.
+ * @property {boolean} [tag] - Check that the new release tags do not exist yet.
+ * @property {boolean} [commits] - Check that there are commits since the last release.
+ */
+
+/**
+ * @typedef {object} ReleasePlan
+ * @description Represents what a release is about to create, as seen by the pre-release checks.
+ * @property {string[]} tags - The new release tags.
+ * @property {string} since - The release the commits are counted from, used in messages.
+ * @property {number} commits - The number of commits since that release.
+ * @property {PublishTarget[]} [publish] - The packages the release publishes to the npm registry.
+ */
+
+/**
+ * @typedef {object} PublishTarget
+ * @description Represents a package version to publish to the npm registry.
+ * @property {string} name - The name of the package.
+ * @property {string} version - The version to publish.
+ * @property {string} dir - The directory of the package, where npm publish runs.
+ * @property {string} distTag - The npm dist-tag of the version.
+ * @property {boolean} private - Indicates whether the package is private, and cannot be published.
+ */
+
+/**
+ * @typedef {object} CheckResult
+ * @description Represents the outcome of a pre-release check.
+ * @property {string} name - The name of the check.
+ * @property {string} status - One of the CHECK_STATUSES values.
+ * @property {string} message - What the check found.
+ */
+
+/**
+ * @typedef {object} Logger
+ * @description Represents where a Releaser reports its progress; the console is the default one.
+ * @property {Function} log - Reports a progress message.
+ * @property {Function} error - Reports an error message.
+ */
+
+/**
+ * @typedef {{[name: string]: (string|Function|Array<string|Function>)}} Hooks
+ * @description Represents the hooks run around the release steps, keyed by one of the HOOK_NAMES values.
+ * Each hook is a shell command, a function receiving the HookContext or an array of them, run in order.
+ */
+
+/**
+ * @typedef {object} HookContext
+ * @description Represents what a hook knows about the release.
+ * @property {string} hook - The name of the hook, one of the HOOK_NAMES values.
+ * @property {string} type - The requested release type.
+ * @property {string|null} oldVersion - The release before this one.
+ * @property {string|null} newVersion - The new release.
+ * @property {string|null} tag - The new release tag; for workspace releases, the new tags separated by commas.
+ */
+
+/**
+ * @typedef {object} VersionFile
+ * @description Represents a file holding the version of the package.
+ * @property {string} path - The path of the file.
+ * @property {string} handler - How the version is written, one of the version file HANDLERS values.
+ * @property {string} [pattern] - The regular expression matching the version, for the regex handler.
+ */
+
+/**
+ * @typedef {object} ReleaserOptions
+ * @description Represents the options of a Releaser: any setting of the configuration file, plus the following.
+ * @property {Logger} [logger] - The logger used instead of the console.
+ * @property {string} [config] - The path to the configuration file, looked for as the command line does if unset.
+ * @property {object} [git] - The GitRepository to operate on, such as a FakeGitRepository in unit tests.
+ */
+
+/**
+ * @typedef {object} ReleaseOptions
+ * @description Represents the options of a single release.
+ * @property {string} type - One of the RELEASE_TYPES values, or AUTO_RELEASE_TYPE to infer it from the commits.
+ * @property {string} [prereleaseId] - The pre-release identifier of a pre-release (e.g. "beta").
+ * @property {boolean} [dryRun] - Indicates whether to only preview the release.
+ * @property {boolean} [workspaces] - Indicates whether to release the workspace packages instead of the root package.
+ * @property {string[]} [skipChecks] - The pre-release checks to skip.
+ * @property {string} [title] - The title of the changelog section of the release (defaults to the new tag).
+ * @property {string} [notes] - Free-form notes shown in the changelog section before the commits.
+ */
+
+/**
+ * @typedef {object} ReleaseResult
+ * @description Represents the outcome of a release.
+ * @property {string} type - The requested release type.
+ * @property {string|null} oldVersion - The release before this one (null for workspace releases, see packages).
+ * @property {string|null} newVersion - The new release (null for workspace releases, see packages).
+ * @property {string} tag - The new release tag; for workspace releases, the new tags separated by commas.
+ * @property {string|null} commitSha - The SHA of the release commit, null for dry runs.
+ * @property {string} changelog - The changelog section of the new release.
+ * @property {boolean} dryRun - Indicates whether the release was only previewed.
+ * @property {Array<{name: string, oldVersion: string, newVersion: string, tag: string}>} packages - The released
+ * workspace packages, empty for root releases.
+ * @property {string[]} published - The name@version of the packages published to the npm registry.
  */
 
 module.exports = {
     SemVerInfo: null,
-    CommandLineArgs: null
+    CommandLineArgs: null,
+    ReleaseJournalStep: null,
+    ReleaseJournal: null,
+    ChangelogCommit: null,
+    ChangelogRelease: null,
+    WorkspacePackage: null,
+    WorkspaceRelease: null,
+    SettingDefinition: null,
+    CommitType: null,
+    CommitTypes: null,
+    ParsedCommitMessage: null,
+    CommitGroup: null,
+    ReleaseNotes: null,
+    Logger: null,
+    ReleaserOptions: null,
+    ReleaseOptions: null,
+    ReleaseResult: null,
+    Hooks: null,
+    HookContext: null,
+    VersionFile: null,
+    GitUpstream: null,
+    CheckSettings: null,
+    ReleasePlan: null,
+    CheckResult: null,
+    TagSignature: null,
+    TagScheme: null,
+    TagMigration: null,
+    PreservedBlock: null,
+    ChangelogFileUpdate: null,
+    SnapshotVersion: null,
+    PublishTarget: null,
+    ReleaseListEntry: null,
+    UnreleasedChanges: null,
+    ReleaseLine: null,
+    CommitLintResult: null,
+    CommitReference: null,
+    ReferencePattern: null,
+    Contributor: null
 };
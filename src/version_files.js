@@ -0,0 +1,314 @@
+/**
+ * This module writes the new version to the version files of a release: package.json, the npm lockfiles,
+ * other JSON manifests (manifest.json, bower.json), plain VERSION files and, through a regular expression,
+ * any other file. Every handler keeps the original indentation and line endings of the file.
+ * @module src/version_files
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const path = require("path");
+const gitRepository = require("./git_repository");
+const semver = require("./semver");
+const tagTemplates = require("./tag_templates");
+const {CommandLineArgs, VersionFile} = require("./type_definitions");
+const {GitRepository} = gitRepository;
+
+/**
+ * An object representing the version file handlers.
+ * @constant {object}
+ * @property {string} JSON - A JSON file with a top-level version field, like package.json or manifest.json.
+ * @property {string} LOCKFILE - An npm lockfile (package-lock.json, npm-shrinkwrap.json).
+ * @property {string} PLAIN - A file holding nothing but the version, like VERSION.
+ * @property {string} REGEX - Any file, the version being the first group of a regular expression.
+ */
+const HANDLERS = {
+    JSON: "json",
+    LOCKFILE: "lockfile",
+    PLAIN: "plain",
+    REGEX: "regex"
+};
+
+/**
+ * The npm lockfiles, updated whenever git tracks them next to package.json.
+ * @type {string[]}
+ */
+const LOCKFILES = ["package-lock.json", "npm-shrinkwrap.json"];
+
+/**
+ * Get the line ending used by a text.
+ * @param {string} text - The text.
+ * @returns {string} "\r\n" if the text uses Windows line endings, "\n" otherwise.
+ * @private
+ */
+function getLineEnding(text) {
+    return text.includes("\r\n") ? "\r\n" : "\n";
+}
+
+/**
+ * List the values changing between two JSON values of the same shape.
+ * @param {*} before - The original value.
+ * @param {*} after - The changed value.
+ * @param {string[]} [keys] - The keys leading to the values.
+ * @returns {Array<{keys: string[], value: *}>|null} The changed primitive values with their keys, null if fields or
+ * items are added, removed or reordered, or a value changes type.
+ * @private
+ */
+function getChangedValues(before, after, keys = []) {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    const isContainer = value => value !== null && typeof value === "object";
+    if (!isContainer(before) && !isContainer(after)) {
+        return [{keys, value: after}];
+    }
+    if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)
+        || JSON.stringify(Object.keys(before)) !== JSON.stringify(Object.keys(after))) {
+        return null;
+    }
+    const changes = [];
+    for (const key of Object.keys(before)) {
+        const changed = getChangedValues(before[key], after[key], [...keys, key]);
+        if (!changed) {
+            return null;
+        }
+        changes.push(...changed);
+    }
+    return changes;
+}
+
+/**
+ * Find where the value at some keys is written in a JSON text.
+ * @param {string} text - The JSON text, which must be valid.
+ * @param {string[]} keys - The keys leading to the value, array indexes included.
+ * @returns {{start: number, end: number}|null} The span of the value in the text, null if it has no such value.
+ * @private
+ */
+function findJsonValue(text, keys) {
+    let index = 0;
+    const skipSpace = () => {
+        while (index < text.length && /\s/.test(text[index])) {
+            index++;
+        }
+    };
+    const readString = () => {
+        const start = index;
+        for (index++; text[index] !== "\""; index++) {
+            if (text[index] === "\\") {
+                index++;
+            }
+        }
+        index++;
+        return JSON.parse(text.slice(start, index));
+    };
+    // Read the value at index, returning the span of the value at the remaining keys, if it holds it.
+    const readValue = path => {
+        skipSpace();
+        const start = index;
+        let found = null;
+        if (text[index] === "{" || text[index] === "[") {
+            const isObject = text[index] === "{";
+            index++;
+            skipSpace();
+            for (let position = 0; text[index] !== "}" && text[index] !== "]"; position++) {
+                const key = isObject ? readString() : String(position);
+                if (isObject) {
+                    skipSpace();
+                    index++; // The colon.
+                }
+                const inner = readValue(path && path.length && path[0] === key ? path.slice(1) : null);
+                found = found || inner;
+                skipSpace();
+                if (text[index] === ",") {
+                    index++;
+                    skipSpace();
+                }
+            }
+            index++;
+        } else if (text[index] === "\"") {
+            readString();
+        } else {
+            while (index < text.length && !/[\s,\]}]/.test(text[index])) {
+                index++;
+            }
+        }
+        return path && !path.length ? {start, end: index} : found;
+    };
+    return readValue(keys);
+}
+
+/**
+ * Serialise JSON data in the style of an existing JSON text. When only values change, such as the version, they are
+ * replaced in the text, leaving the rest of it as it is; otherwise the data is serialised with the indentation,
+ * line endings and final newline of the text.
+ * @param {string} current - The existing JSON text.
+ * @param {object} data - The data to serialise.
+ * @returns {string} The serialised data.
+ */
+function formatJson(current, data) {
+    const changes = getChangedValues(JSON.parse(current), data);
+    if (changes) {
+        let text = current;
+        for (const {keys, value} of changes) {
+            const {start, end} = findJsonValue(text, keys);
+            text = `${text.slice(0, start)}${JSON.stringify(value)}${text.slice(end)}`;
+        }
+        return text;
+    }
+
+    const indentation = /^[ \t]+(?=")/m.exec(current);
+    const eol = getLineEnding(current);
+    const json = JSON.stringify(data, undefined, indentation ? indentation[0] : 0).replaceAll("\n", eol);
+    return /\r?\n$/.test(current) ? json + eol : json;
+}
+
+/**
+ * Validate the configured version files.
+ * @param {*} versionFiles - The version files, as read from the configuration.
+ * @returns {string|null} An error message, or null if the version files are valid.
+ */
+function validateVersionFiles(versionFiles) {
+    if (!Array.isArray(versionFiles)) {
+        return "must be an array of paths or {path, pattern} objects";
+    }
+    for (const file of versionFiles) {
+        const entry = typeof file === "string" ? {path: file} : file;
+        if (!entry || typeof entry.path !== "string" || !entry.path.trim()) {
+            return "must only contain paths or objects with a path";
+        }
+        if (entry.pattern !== undefined) {
+            if (typeof entry.pattern !== "string") {
+                return `has a non-string pattern for ${entry.path}`;
+            }
+            try {
+                // The empty alternative makes the pattern match "", exposing its number of groups.
+                if (new RegExp(`${entry.pattern}|`).exec("").length < 2) {
+                    return `has a pattern without a group for ${entry.path}`;
+                }
+            } catch (error) {
+                return `has an invalid pattern for ${entry.path}: ${error.message}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the npm lockfiles of a directory that git tracks. Untracked and ignored lockfiles are left alone, since
+ * they cannot be staged with the version bump.
+ * @param {string} dir - The directory of package.json.
+ * @param {GitRepository} git - The repository.
+ * @returns {Promise<string[]>} A promise that resolves to the paths of the tracked lockfiles.
+ */
+async function findLockfiles(dir, git) {
+    const lockfiles = [];
+    for (const file of LOCKFILES.map(name => path.join(dir, name)).filter(file => fs.existsSync(file))) {
+        if (await git.isTracked(file)) {
+            lockfiles.push(file);
+        }
+    }
+    return lockfiles;
+}
+
+/**
+ * Get the version files of a release: package.json, the tracked lockfiles next to it and the configured files.
+ * The handler of a configured file is chosen from its pattern, if any, then from its name.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<VersionFile[]>} A promise that resolves to the version files.
+ */
+async function getVersionFiles(args) {
+    const lockfiles = await findLockfiles(path.dirname(args.package_json), gitRepository.fromArgs(args));
+    const configured = (args.version_files || []).map(file => typeof file === "string" ? {path: file} : file);
+
+    return [{path: args.package_json}, ...lockfiles.map(file => ({path: file})), ...configured].map(file => {
+        if (file.pattern !== undefined) {
+            return {...file, handler: HANDLERS.REGEX};
+        }
+        const name = path.basename(file.path);
+        const handler = LOCKFILES.includes(name) ? HANDLERS.LOCKFILE : name.endsWith(".json") ? HANDLERS.JSON : HANDLERS.PLAIN;
+        return {...file, handler};
+    });
+}
+
+/**
+ * Set the versions of packages in an npm lockfile.
+ * @param {string} current - The content of the lockfile.
+ * @param {object} versions - The new versions, keyed by package location ("" for the root package).
+ * @returns {string} The updated content.
+ */
+function updateLockfile(current, versions) {
+    const data = JSON.parse(current);
+    for (const [location, version] of Object.entries(versions)) {
+        if (location === "") {
+            data.version = version;
+        }
+        if (data.packages && data.packages[location]) {
+            data.packages[location].version = version;
+        }
+    }
+    return formatJson(current, data);
+}
+
+/**
+ * Set the version in the content of a version file.
+ * @param {VersionFile} file - The version file.
+ * @param {string} current - The content of the file.
+ * @param {string} version - The new version.
+ * @returns {string} The updated content.
+ * @throws {Error} If the version cannot be found in the file.
+ */
+function updateContent(file, current, version) {
+    switch (file.handler) {
+        case HANDLERS.JSON:
+            return formatJson(current, {...JSON.parse(current), version});
+        case HANDLERS.LOCKFILE:
+            return updateLockfile(current, {"": version});
+        case HANDLERS.PLAIN:
+            return version + current.slice(current.trimEnd().length);
+        case HANDLERS.REGEX: {
+            const matches = [...current.matchAll(new RegExp(file.pattern, "dgm"))];
+            if (!matches.length) {
+                throw new Error(`The pattern ${file.pattern} does not match ${file.path}.`);
+            }
+            // Replace from the last match, so that the indices of the previous ones stay valid.
+            return matches.reverse().reduce((updated, match) => {
+                const [start, end] = (match.indices.groups && match.indices.groups.version) || match.indices[1];
+                return updated.slice(0, start) + version + updated.slice(end);
+            }, current);
+        }
+        default:
+            throw new Error(`Unknown version file handler: "${file.handler}".`);
+    }
+}
+
+/**
+ * Render the version files of a release with the version of a new release tag, without writing them.
+ * Missing configured files are an error; the tag prefix is not written.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @param {string} newTag - The new release tag.
+ * @returns {Promise<Array<{path: string, current: string, updated: string}>>} A promise that resolves to the current
+ * and updated content of each file.
+ * @throws {Error} If a version file is missing or its version cannot be found.
+ */
+async function renderVersionFiles(args, newTag) {
+    const version = semver.format({...tagTemplates.parseReleaseTag(tagTemplates.getTagScheme(args), newTag), description: ""});
+    return (await getVersionFiles(args)).map(file => {
+        if (!fs.existsSync(file.path)) {
+            throw new Error(`The version file ${file.path} does not exist.`);
+        }
+        const current = fs.readFileSync(file.path).toString();
+        return {path: file.path, current, updated: updateContent(file, current, version)};
+    });
+}
+
+module.exports = {
+    HANDLERS,
+    LOCKFILES,
+    formatJson,
+    validateVersionFiles,
+    findLockfiles,
+    getVersionFiles,
+    updateLockfile,
+    renderVersionFiles
+};
@@ -0,0 +1,246 @@
+/**
+ * This module finds the packages of npm workspaces and plans their independent releases,
+ * each package being tagged as name@version.
+ * @module src/workspaces
+ * @project js-changelog
+ */
+"use strict"
+
+const fs = require("fs");
+const path = require("path");
+const gitRepository = require("./git_repository");
+const constants = require("./constants");
+const semver = require("./semver");
+const support = require("./support");
+const versionFiles = require("./version_files");
+const {CommandLineArgs, WorkspacePackage, WorkspaceRelease} = require("./type_definitions");
+const {GitRepository} = gitRepository;
+
+/**
+ * The package.json fields holding dependency ranges that are updated when a workspace package is bumped.
+ * @type {string[]}
+ */
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"];
+
+/**
+ * Expand a workspace pattern into the directories it matches.
+ * Only "*" wildcards matching a whole path segment (e.g. "packages/*") are supported.
+ * @param {string} rootDir - The directory of the root package.json.
+ * @param {string} pattern - The workspace pattern.
+ * @returns {string[]} The matching directories, relative to the current directory.
+ * @private
+ */
+function expandWorkspacePattern(rootDir, pattern) {
+    let dirs = [rootDir];
+    for (const segment of pattern.split("/").filter(segment => segment && segment !== ".")) {
+        dirs = dirs.flatMap(dir => {
+            if (segment !== "*") {
+                return [path.join(dir, segment)];
+            }
+            return fs.existsSync(dir) ? fs.readdirSync(dir, {withFileTypes: true})
+                .filter(entry => entry.isDirectory() && !entry.name.startsWith("."))
+                .map(entry => path.join(dir, entry.name)) : [];
+        });
+    }
+    return dirs;
+}
+
+/**
+ * Get the packages listed by the workspaces field of the root package.json. Private packages are listed too: they
+ * are released and their dependency ranges are updated like the others, but they are never published.
+ * @param {string} rootPackageJsonPath - The path of the root package.json.
+ * @returns {WorkspacePackage[]} The workspace packages, sorted by name.
+ * @throws {Error} If the root package.json declares no workspaces.
+ */
+function getPackages(rootPackageJsonPath) {
+    const root = JSON.parse(fs.readFileSync(rootPackageJsonPath).toString());
+    const patterns = Array.isArray(root.workspaces) ? root.workspaces : (root.workspaces || {}).packages;
+    if (!patterns || !patterns.length) {
+        throw new Error(`No workspaces declared in ${rootPackageJsonPath}.`);
+    }
+
+    const rootDir = path.dirname(rootPackageJsonPath);
+    return patterns
+        .flatMap(pattern => expandWorkspacePattern(rootDir, pattern))
+        .map(dir => path.join(dir, "package.json"))
+        .filter(packageJsonPath => fs.existsSync(packageJsonPath))
+        .map(packageJsonPath => {
+            const data = JSON.parse(fs.readFileSync(packageJsonPath).toString());
+            return {name: data.name, version: data.version, dir: path.dirname(packageJsonPath), packageJsonPath, data};
+        })
+        .filter(pkg => pkg.name)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the release tag of a workspace package version.
+ * @param {string} name - The name of the package.
+ * @param {string} version - The version of the package.
+ * @returns {string} The tag, as name@version.
+ */
+function getPackageTag(name, version) {
+    return `${name}@${version}`;
+}
+
+/**
+ * Get the version part of a workspace package tag.
+ * @param {string} tag - The tag, as name@version.
+ * @returns {string} The version.
+ * @private
+ */
+function getTagVersion(tag) {
+    return tag.slice(tag.lastIndexOf("@") + 1);
+}
+
+/**
+ * Get the release tags of a workspace package, sorted by SemVer precedence from the lowest to the highest.
+ * @param {string} name - The name of the package.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<string[]>} A promise that resolves to the sorted tags.
+ */
+async function getPackageTags(name, git = gitRepository.DEFAULT_REPOSITORY) {
+    return (await git.tags(getPackageTag(name, "*")))
+        .filter(tag => semver.isValid(getTagVersion(tag)))
+        .sort((a, b) => semver.compare(semver.parse(getTagVersion(a)), semver.parse(getTagVersion(b))));
+}
+
+/**
+ * Plan the release of the workspace packages changed since their last release.
+ * Packages never released are bumped starting from the version in their package.json, and left out if it has none,
+ * as private packages may.
+ * With the auto release type, each package is bumped according to its own commits and
+ * packages without releasable commits are left out.
+ * @param {WorkspacePackage[]} packages - The workspace packages.
+ * @param {CommandLineArgs} args - Command line arguments.
+ * @returns {Promise<WorkspaceRelease[]>} A promise that resolves to the releases to create.
+ */
+async function planReleases(packages, args) {
+    const git = gitRepository.fromArgs(args);
+    const releases = [];
+    for (const pkg of packages) {
+        const tags = await getPackageTags(pkg.name, git);
+        const lastTag = tags.length ? tags[tags.length - 1] : null;
+        if (!lastTag && !pkg.version) {
+            (args.logger || console).log(`${pkg.name}: skipped, it has no version.`);
+            continue;
+        }
+        const messages = await support.getCommitMessagesSince(lastTag || constants.SEMVER_ZERO, pkg.dir, git);
+        if (!messages.length) {
+            (args.logger || console).log(`${pkg.name}: unchanged since ${lastTag}.`);
+            continue;
+        }
+
+        let releaseType = args.action.release;
+        if (releaseType === constants.AUTO_RELEASE_TYPE) {
+            try {
+                releaseType = support.chooseReleaseType(messages, lastTag || "the first commit", args);
+            } catch (error) {
+                (args.logger || console).log(`${pkg.name}: skipped. ${error.message}`);
+                continue;
+            }
+        }
+
+        const current = semver.parse(lastTag ? getTagVersion(lastTag) : pkg.version);
+        const newVersion = semver.format(semver.increment(current, releaseType, args.prerelease_id));
+        releases.push({pkg, tags, lastTag, newVersion, newTag: getPackageTag(pkg.name, newVersion), commits: messages.length});
+    }
+    return releases;
+}
+
+/**
+ * Update a dependency range to a new version, keeping its range operator.
+ * Ranges that are not a plain version with an optional ^, ~, >= or = operator (e.g. "workspace:*") are kept.
+ * @param {string} range - The current range.
+ * @param {string} version - The new version.
+ * @returns {string} The updated range.
+ * @private
+ */
+function updateRange(range, version) {
+    const match = /^(?<operator>\^|~|>=|=)?\d+\.\d+\.\d+\S*$/.exec(range);
+    return match ? `${match.groups.operator || ""}${version}` : range;
+}
+
+/**
+ * Render the package.json files changed by workspace releases: the version of every released package and
+ * the ranges of every dependency on a released package.
+ * @param {WorkspacePackage[]} packages - The workspace packages.
+ * @param {WorkspaceRelease[]} releases - The planned releases.
+ * @returns {Array<{path: string, current: string, updated: string}>} The current and updated content of each changed file.
+ */
+function renderPackageJsonUpdates(packages, releases) {
+    const newVersions = Object.fromEntries(releases.map(release => [release.pkg.name, release.newVersion]));
+
+    return packages
+        .map(pkg => {
+            const current = fs.readFileSync(pkg.packageJsonPath).toString();
+            const data = JSON.parse(current);
+            if (newVersions[pkg.name]) {
+                data.version = newVersions[pkg.name];
+            }
+            for (const field of DEPENDENCY_FIELDS) {
+                for (const dependency of Object.keys(data[field] || {})) {
+                    if (newVersions[dependency]) {
+                        data[field][dependency] = updateRange(data[field][dependency], newVersions[dependency]);
+                    }
+                }
+            }
+            return {path: pkg.packageJsonPath, current, updated: versionFiles.formatJson(current, data)};
+        })
+        .filter(update => JSON.stringify(JSON.parse(update.current)) !== JSON.stringify(JSON.parse(update.updated)));
+}
+
+/**
+ * Render the tracked lockfiles next to the root package.json with the new versions of the released packages.
+ * @param {string} rootPackageJsonPath - The path of the root package.json.
+ * @param {WorkspaceRelease[]} releases - The planned releases.
+ * @param {GitRepository} git - The repository.
+ * @returns {Promise<Array<{path: string, current: string, updated: string}>>} A promise that resolves to the current
+ * and updated content of each lockfile.
+ */
+async function renderLockfileUpdates(rootPackageJsonPath, releases, git) {
+    const rootDir = path.dirname(rootPackageJsonPath);
+    // Lockfiles key workspace packages by their directory relative to the root, with forward slashes.
+    const versions = Object.fromEntries(releases.map(release => [path.relative(rootDir, release.pkg.dir).split(path.sep).join("/"), release.newVersion]));
+
+    return (await versionFiles.findLockfiles(rootDir, git))
+        .map(lockfile => {
+            const current = fs.readFileSync(lockfile).toString();
+            return {path: lockfile, current, updated: versionFiles.updateLockfile(current, versions)};
+        })
+        .filter(update => update.current !== update.updated);
+}
+
+/**
+ * Get the path of the changelog of a workspace package.
+ * @param {WorkspacePackage} pkg - The workspace package.
+ * @returns {string} The path of the changelog.
+ */
+function getChangelogPath(pkg) {
+    return path.join(pkg.dir, constants.CHANGELOG_PATH);
+}
+
+/**
+ * Tag the current commit with the tag of a workspace package release.
+ * @param {string} tag - The tag, as name@version.
+ * @param {object} [options] - The tag options: the message of an annotated tag and whether to sign it.
+ * @param {GitRepository} [git] - The repository.
+ * @returns {Promise<void>} A promise that resolves when the commit is tagged.
+ * @throws {Error} If the version part of the tag does not match the SEMVER format.
+ */
+async function tagPackageRelease(tag, options = {}, git = gitRepository.DEFAULT_REPOSITORY) {
+    if (!semver.isValid(getTagVersion(tag))) {
+        throw new Error(`The provided tag (${tag}) does not end with a SEMVER version (${constants.SEMVER_TAG_PATTERN}).`);
+    }
+    await git.tag(tag, options);
+}
+
+module.exports = {
+    getPackages,
+    getPackageTag,
+    getPackageTags,
+    planReleases,
+    renderPackageJsonUpdates,
+    renderLockfileUpdates,
+    getChangelogPath,
+    tagPackageRelease
+};
@@ -0,0 +1,88 @@
+/**
+ * Tests of the changelog file: the preserved blocks kept when the changelog is rebuilt, and the back-filled sections.
+ * @module test/changelog_file
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const constants = require("../src/constants");
+const changelog = require("../src/changelog");
+const changelogFile = require("../src/changelog_file");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+/**
+ * Wrap hand-written text in preserve markers.
+ * @param {string} body - The hand-written text.
+ * @param {string} [release] - The release named by the start marker.
+ * @returns {string} The preserved block.
+ */
+function preserve(body, release) {
+    return `${constants.PRESERVE_MARKERS.START}${release ? ` ${release}` : ""} -->\n${body}\n${constants.PRESERVE_MARKERS.END}`;
+}
+
+describe("changelog file", () => {
+    let args;
+    let releases;
+
+    beforeEach(async () => {
+        const git = new FakeGitRepository();
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("fix: a bug");
+        git.addTag("1.0.1");
+        git.addCommit("feat: a feature");
+        args = {git, changelog_template: path.join(__dirname, "..", "configs", "changelog-template.hbs"), logger: {log: () => undefined, error: () => undefined}};
+        releases = await changelog.getReleases(args, "1.1.0");
+    });
+
+    it("keeps the preserved blocks in the section of their release", () => {
+        const existing = `${preserve("Intro")}\n\n# 1.0.1\n\n${preserve("Upgrade notes")}\n\n# 1.0.0\n`;
+        const blocks = changelogFile.readPreservedBlocks(existing, releases);
+        assert.deepStrictEqual(blocks.map(block => block.release), [null, "1.0.1"]);
+
+        const {text, orphans} = changelogFile.renderChangelog(args, releases, existing);
+
+        assert.deepStrictEqual(orphans, []);
+        assert.ok(text.startsWith(`${preserve("Intro")}\n\n# 1.1.0`));
+        const section = text.slice(text.indexOf("# 1.0.1"), text.indexOf("# 1.0.0"));
+        assert.ok(section.includes(preserve("Upgrade notes", "1.0.1")));
+    });
+
+    it("renders the same changelog again from its own output", () => {
+        const existing = `# 1.1.0\n\n${preserve("Highlights", "1.1.0")}\n`;
+        const first = changelogFile.renderChangelog(args, releases, existing).text;
+        assert.strictEqual(changelogFile.renderChangelog(args, releases, first).text, first);
+    });
+
+    it("keeps the blocks of unknown releases at the end and reports them", () => {
+        const errors = [];
+        const existing = `${preserve("Ancient history", "0.9.0")}\n`;
+        const update = changelogFile.renderChangelog(args, releases, existing);
+        assert.deepStrictEqual(update.orphans.map(block => block.release), ["0.9.0"]);
+        assert.ok(update.text.endsWith(`\n${preserve("Ancient history", "0.9.0")}\n`));
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        try {
+            fs.writeFileSync(path.join(dir, "CHANGELOG.md"), existing);
+            changelogFile.formatChangelog({...args, logger: {log: () => undefined, error: message => errors.push(message)}}, releases, path.join(dir, "CHANGELOG.md"));
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /1 preserved part\(s\) of .*CHANGELOG\.md have no release section to go to and are kept at its end: 0\.9\.0\./);
+    });
+
+    it("back-fills the missing sections before the section of the previous release", () => {
+        const existing = "# 1.1.0\n\nHand-written.\n\n# 1.0.0\n\nOld.\n";
+        const update = changelogFile.backfillChangelog(args, releases, existing);
+        assert.deepStrictEqual(update.added, ["1.0.1"]);
+        assert.ok(update.text.startsWith("# 1.1.0\n\nHand-written.\n\n# 1.0.1\n"));
+        assert.ok(update.text.endsWith("# 1.0.0\n\nOld.\n"));
+        assert.deepStrictEqual(changelogFile.backfillChangelog(args, releases, update.text).added, []);
+        assert.throws(() => changelogFile.backfillChangelog(args, releases, existing, ["2.0.0"]), /No release 2\.0\.0 found/);
+    });
+});
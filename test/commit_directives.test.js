@@ -0,0 +1,63 @@
+/**
+ * Tests of the directives of commit messages: the skip directive, the version bump commits, the
+ * Changelog-Override trailer and the Release-As trailer.
+ * @module test/commit_directives
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const semver = require("../src/semver");
+const commitDirectives = require("../src/commit_directives");
+
+/**
+ * Build a commit as read by the changelog.
+ * @param {string} subject - The subject of the commit message.
+ * @param {string} [body] - The body of the commit message.
+ * @returns {object} The commit.
+ */
+function commit(subject, body = "") {
+    return {subject, body, message: body ? `${subject}\n\n${body}` : subject};
+}
+
+describe("commit directives", () => {
+    it("skips the commits with the skip directive, whatever its spelling", () => {
+        assert.ok(commitDirectives.isSkipped("docs: typo [skip changelog]", {}));
+        assert.ok(commitDirectives.isSkipped("docs: typo\n\n[Changelog-Skip]", {}));
+        assert.ok(!commitDirectives.isSkipped("feat: skip the changelog of drafts", {}));
+    });
+
+    it("recognises the version bump commits after the commit message template", () => {
+        assert.ok(commitDirectives.isVersionBumpMessage({}, "version bump: 1.2.0"));
+        assert.ok(commitDirectives.isVersionBumpMessage({}, "version bump: core@1.2.0, cli@2.0.0-rc.1"));
+        assert.ok(!commitDirectives.isVersionBumpMessage({}, "version bump: the dependencies"));
+        assert.ok(commitDirectives.isVersionBumpMessage({commit_message: "chore(release): {version}\n\n[skip ci]"}, "chore(release): v1.2.0"));
+    });
+
+    it("does not hide every commit when the template is only the version", () => {
+        const args = {commit_message: "{version}"};
+        assert.ok(commitDirectives.isVersionBumpMessage(args, "1.2.0"));
+        assert.ok(!commitDirectives.isVersionBumpMessage(args, "fix: a bug"));
+    });
+
+    it("leaves out the skipped commits and replaces the subject of the overridden ones", () => {
+        const commits = [
+            commit("fix: typo"),
+            commit("fixed stuf", "Changelog-Override: fix(parser): handle empty input"),
+            commit("version bump: 1.2.0"),
+            commit("docs: internal notes [skip changelog]")
+        ];
+        const applied = commitDirectives.applyDirectives(commits, {});
+        assert.deepStrictEqual(applied.map(entry => entry.subject), ["fix: typo", "fix(parser): handle empty input"]);
+        assert.strictEqual(applied[1].message, "fix(parser): handle empty input\n\nChangelog-Override: fix(parser): handle empty input");
+    });
+
+    it("forces the version of the newest commit with a Release-As trailer", () => {
+        const messages = ["fix: a bug", "feat: a feature\n\nRelease-As: 2.0.0", "fix: older\n\nrelease-as: 1.5.0"];
+        const forced = commitDirectives.findReleaseAs(messages);
+        assert.strictEqual(semver.format(forced.version), "2.0.0");
+        assert.strictEqual(forced.message, messages[1]);
+        assert.strictEqual(commitDirectives.findReleaseAs(["fix: a bug"]), null);
+        assert.throws(() => commitDirectives.findReleaseAs(["feat: x\n\nRelease-As: next"]), /next is not a version/);
+    });
+});
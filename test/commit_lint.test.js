@@ -0,0 +1,84 @@
+/**
+ * Tests of the commit message linting: the messages, the commits of a range and the commit-msg hook.
+ * @module test/commit_lint
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const commitLint = require("../src/commit_lint");
+const commitTypes = require("../src/commit_types");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+describe("commit lint", () => {
+    let git;
+
+    beforeEach(() => {
+        git = new FakeGitRepository();
+    });
+
+    afterEach(() => {
+        if (git.gitDir) {
+            fs.rmSync(git.gitDir, {recursive: true, force: true});
+        }
+    });
+
+    it("accepts the commit types and their aliases, and leaves the messages of git alone", () => {
+        const args = {git};
+        assert.deepStrictEqual(commitLint.lintCommitMessage("feat(parser)!: support comments\n\nDetails.", args), []);
+        assert.deepStrictEqual(commitLint.lintCommitMessage("Feature: dark mode", args), []);
+        assert.deepStrictEqual(commitLint.lintCommitMessage("Merge branch 'main' into feature", args), []);
+        assert.deepStrictEqual(commitLint.lintCommitMessage("fixup! feat: support comments", args), []);
+        assert.deepStrictEqual(commitLint.lintCommitMessage("version bump: 1.2.0", args), []);
+    });
+
+    it("reports the missing or unknown types and the missing blank line", () => {
+        const args = {git};
+        assert.match(commitLint.lintCommitMessage("update the readme", args)[0], /must start with a type/);
+        assert.match(commitLint.lintCommitMessage("other: misc", args)[0], /"other" is not a commit type/);
+        assert.match(commitLint.lintCommitMessage("fix: crash\nmore details", args)[0], /followed by a blank line/);
+        assert.deepStrictEqual(commitLint.lintCommitMessage("deps: bump lodash", {git, commit_types: commitTypes.mergeCommitTypes({deps: {bump: "patch"}})}), []);
+    });
+
+    it("cleans up the message file as the settings of git do", async () => {
+        const file = "fix: crash\n\n#12 was the cause\n# Please enter the commit message\n# ------------------------ >8 ------------------------\ndiff --git a/x b/x\n";
+        assert.strictEqual(commitLint.cleanCommitMessage(file), "fix: crash");
+        assert.strictEqual(commitLint.cleanCommitMessage(file, {cleanup: "whitespace"}), "fix: crash\n\n#12 was the cause\n# Please enter the commit message");
+        assert.strictEqual(commitLint.cleanCommitMessage(file, {cleanup: "verbatim"}), file);
+
+        const semicolon = "fix: crash\n\n#12 was the cause\n; Please enter the commit message\n; ------------------------ >8 ------------------------\n# diff\n";
+        assert.strictEqual(commitLint.cleanCommitMessage(semicolon, {commentChar: ";"}), "fix: crash\n\n#12 was the cause");
+        assert.strictEqual(commitLint.cleanCommitMessage(semicolon, {commentChar: "auto"}), "fix: crash\n\n#12 was the cause");
+
+        git.config["core.commentChar"] = ";";
+        git.config["commit.cleanup"] = "strip";
+        assert.deepStrictEqual(await commitLint.getCleanupSettings({git}), {commentChar: ";", cleanup: "strip"});
+        assert.deepStrictEqual(await commitLint.getCleanupSettings({git: new FakeGitRepository()}), {commentChar: "#", cleanup: "default"});
+    });
+
+    it("lints the commits of a range, oldest first", async () => {
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("fix: handle empty input");
+        git.addCommit("misc changes");
+
+        const results = await commitLint.lintRange({git}, "1.0.0..HEAD");
+
+        assert.deepStrictEqual(results.map(result => [result.subject, result.problems.length]), [["fix: handle empty input", 0], ["misc changes", 1]]);
+    });
+
+    it("installs a commit-msg hook running the js-changelog of the project", async () => {
+        const hookPath = await commitLint.installCommitMsgHook({git});
+        const hook = fs.readFileSync(hookPath).toString();
+
+        assert.strictEqual(fs.statSync(hookPath).mode & 0o777, 0o755);
+        assert.match(hook, /^if \[ -x node_modules\/\.bin\/js-changelog \]; then\n {4}exec node_modules\/\.bin\/js-changelog --lint-commit "\$1"\nfi$/m);
+        assert.match(hook, /^exec npx --no-install js-changelog --lint-commit "\$1"$/m);
+        assert.ok(!hook.includes(__dirname.replace(/test$/, "src")));
+        assert.strictEqual(await commitLint.installCommitMsgHook({git}), hookPath);
+
+        fs.writeFileSync(hookPath, "#!/bin/sh\nexit 0\n");
+        await assert.rejects(commitLint.installCommitMsgHook({git}), /already exists/);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests of the commit types: the classification of commit messages, the release type they require and the
+ * changelog sections they are grouped in.
+ * @module test/commit_types
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const constants = require("../src/constants");
+const commitTypes = require("../src/commit_types");
+
+describe("commit types", () => {
+    const types = commitTypes.DEFAULT_COMMIT_TYPES;
+
+    it("classifies messages by their type, aliases and breaking markers", () => {
+        assert.deepStrictEqual(commitTypes.parseCommitMessage("feat(parser): support comments", types), {type: "feat", scope: "parser", breaking: false, description: "support comments"});
+        assert.strictEqual(commitTypes.parseCommitMessage("Feature: dark mode", types).type, "feat");
+        assert.strictEqual(commitTypes.parseCommitMessage("fix!: drop node 10", types).type, commitTypes.BREAKING_TYPE);
+        assert.strictEqual(commitTypes.parseCommitMessage("fix: drop node 10\n\nBREAKING CHANGE: node 12 is needed", types).type, commitTypes.BREAKING_TYPE);
+        assert.strictEqual(commitTypes.parseCommitMessage("update the readme", types).type, commitTypes.OTHER_TYPE);
+        assert.strictEqual(commitTypes.parseCommitMessage("chore: bump deps", types).type, commitTypes.OTHER_TYPE);
+    });
+
+    it("chooses the highest release type required by the commits", () => {
+        const {MAJOR, MINOR, PATCH} = constants.RELEASE_TYPES;
+        assert.strictEqual(commitTypes.chooseReleaseType(["fix: a", "perf: b"], types).releaseType, PATCH);
+        assert.deepStrictEqual(commitTypes.chooseReleaseType(["fix: a", "feat: b", "feat: c"], types), {releaseType: MINOR, type: "feat", messages: ["feat: b", "feat: c"]});
+        assert.strictEqual(commitTypes.chooseReleaseType(["feat: a", "refactor!: b"], types).releaseType, MAJOR);
+        assert.strictEqual(commitTypes.chooseReleaseType(["docs: a", "refactor: b", "misc"], types), null);
+    });
+
+    it("merges custom types over the default ones", () => {
+        const merged = commitTypes.mergeCommitTypes({docs: {changelog: true}, perf: false, deps: {heading: "### Dependencies", bump: constants.RELEASE_TYPES.PATCH}});
+        assert.strictEqual(merged.docs.heading, "### Documentation");
+        assert.strictEqual(merged.docs.changelog, true);
+        assert.strictEqual(merged.perf, undefined);
+        assert.deepStrictEqual(merged.deps, {heading: "### Dependencies", bump: constants.RELEASE_TYPES.PATCH, changelog: true, aliases: []});
+        assert.strictEqual(commitTypes.chooseReleaseType(["deps: bump lodash"], merged).releaseType, constants.RELEASE_TYPES.PATCH);
+        assert.ok(commitTypes.mergeCommitTypes({[commitTypes.OTHER_TYPE]: false})[commitTypes.OTHER_TYPE]);
+    });
+
+    it("validates custom types", () => {
+        assert.strictEqual(commitTypes.validateCommitTypes({feat: {bump: "minor"}, docs: false}), null);
+        assert.match(commitTypes.validateCommitTypes([]), /must be an object/);
+        assert.match(commitTypes.validateCommitTypes({feat: {bump: "huge"}}), /bump among major, minor, patch or null/);
+        assert.match(commitTypes.validateCommitTypes({feat: {aliases: "feature"}}), /array of string aliases/);
+    });
+
+    it("groups the commits in the order of the types, without the hidden ones", () => {
+        const commits = [{type: "fix"}, {type: "docs"}, {type: "feat"}, {type: "fix"}];
+        const groups = commitTypes.groupCommits(commits, types);
+        assert.deepStrictEqual(groups.map(group => [group.heading, group.commits.length]), [["### Features", 1], ["### Fixes", 2]]);
+    });
+});
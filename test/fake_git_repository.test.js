@@ -0,0 +1,143 @@
+/**
+ * Tests of the git adapter: the argument lists given to git, and the in-memory FakeGitRepository the other tests
+ * run on, through the modules reading the history.
+ * @module test/fake_git_repository
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const constants = require("../src/constants");
+const support = require("../src/support");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+const {GitError, GitRepository, getCommitArgs, getTagArgs, fromArgs} = require("../src/git_repository");
+
+describe("git arguments", () => {
+    it("builds lightweight, annotated and signed tags", () => {
+        assert.deepStrictEqual(getTagArgs("1.2.0"), ["tag", "1.2.0"]);
+        assert.deepStrictEqual(getTagArgs("1.2.0", {message: "# 1.2.0", revision: "abc1234"}), ["tag", "--annotate", "--cleanup=whitespace", "--message", "# 1.2.0", "1.2.0", "abc1234"]);
+        assert.deepStrictEqual(getTagArgs("1.2.0", {sign: true}), ["tag", "--sign", "--cleanup=whitespace", "--message", "1.2.0", "1.2.0"]);
+    });
+
+    it("builds new and amended commits", () => {
+        assert.deepStrictEqual(getCommitArgs("version bump: 1.2.0"), ["commit", "--message", "version bump: 1.2.0"]);
+        assert.deepStrictEqual(getCommitArgs(null, {amend: true, sign: true}), ["commit", "--amend", "--gpg-sign", "--no-edit"]);
+    });
+
+    it("never reads a revision range as an option", async () => {
+        const calls = [];
+        const git = new GitRepository();
+        git.run = async args => {
+            calls.push(args);
+            return "";
+        };
+        await git.log("--output=/tmp/log", {format: "%s"});
+        await git.commitDate("--output=/tmp/date");
+        assert.deepStrictEqual(calls[0], ["log", "--format=%s", "--end-of-options", "--output=/tmp/log", "--"]);
+        assert.deepStrictEqual(calls[1].slice(-3), ["--end-of-options", "--output=/tmp/date", "--"]);
+    });
+});
+
+describe("FakeGitRepository", () => {
+    let git;
+    let first;
+    let second;
+
+    beforeEach(() => {
+        git = new FakeGitRepository();
+        first = git.addCommit("chore: initial commit", {files: ["package.json"]});
+        git.addTag("1.0.0");
+        second = git.addCommit("feat(parser): support comments\n\nCloses #12", {files: ["src/parser.js"]});
+    });
+
+    it("is the repository given by the arguments", () => {
+        assert.strictEqual(fromArgs({git}), git);
+    });
+
+    it("resolves HEAD, tags, remote branches and abbreviated SHAs", async () => {
+        assert.strictEqual(await git.revParse("HEAD"), second);
+        assert.strictEqual(await git.revParse("1.0.0"), first);
+        assert.strictEqual(await git.revParse("origin/main"), second);
+        assert.strictEqual(await git.revParse(second.slice(0, 7)), second);
+        await assert.rejects(git.revParse("2.0.0"), GitError);
+    });
+
+    it("formats the log of a range, newest first unless reversed", async () => {
+        git.addCommit("fix: a bug", {files: ["src/parser.js"]});
+        assert.strictEqual(await git.log("1.0.0..HEAD", {format: "%s"}), "fix: a bug\nfeat(parser): support comments\n");
+        assert.strictEqual(await git.log("1.0.0..HEAD", {format: "%s", reverse: true}), "feat(parser): support comments\nfix: a bug\n");
+        assert.strictEqual(await git.log(second, {format: "%h%x1f%b%x1e"}), `${second.slice(0, 7)}\x1fCloses #12\n\x1e\n${first.slice(0, 7)}\x1f\n\x1e\n`);
+    });
+
+    it("only logs the commits changing a path", async () => {
+        assert.strictEqual(await git.log("HEAD", {format: "%s", path: "./src"}), "feat(parser): support comments\n");
+    });
+
+    it("lists the tags matching a pattern", async () => {
+        git.addTag("v2.0.0");
+        git.addTag("parser@1.0.0");
+        assert.deepStrictEqual(await git.tags(), ["1.0.0", "parser@1.0.0", "v2.0.0"]);
+        assert.deepStrictEqual(await git.tags("parser@*"), ["parser@1.0.0"]);
+    });
+
+    it("stages, commits and amends, recording the operations", async () => {
+        git.modify(["package.json", "CHANGELOG.md"]);
+        await git.add(["package.json"]);
+        assert.deepStrictEqual(await git.changedFiles(), ["CHANGELOG.md"]);
+        await git.commit("version bump: 1.1.0");
+        await git.add(["CHANGELOG.md"]);
+        assert.strictEqual(await git.commit(null, {amend: true}), await git.revParse("HEAD"));
+
+        assert.deepStrictEqual(await git.uncommittedFiles(), []);
+        assert.strictEqual(await git.log(`${second}..HEAD`, {format: "%s"}), "version bump: 1.1.0\n");
+        assert.deepStrictEqual(git.operations.map(operation => operation.operation), ["add", "commit", "add", "commit"]);
+        assert.deepStrictEqual(git.operations[3].files, ["package.json", "CHANGELOG.md"]);
+    });
+
+    it("refuses existing tags and deletes tags", async () => {
+        await assert.rejects(git.tag("1.0.0"), GitError);
+        await git.tag("1.1.0", {message: "# 1.1.0"});
+        assert.strictEqual((await git.verifyTag("1.1.0")).status, constants.TAG_SIGNATURE_STATUSES.UNSIGNED);
+        await git.deleteTag("1.1.0");
+        assert.deepStrictEqual(await git.tags(), ["1.0.0"]);
+    });
+
+    it("resets the branch, keeping the changes in the working tree with a mixed reset", async () => {
+        await git.add(["package.json"]);
+        await git.commit("version bump: 1.1.0");
+        await git.reset(second, "mixed");
+        assert.strictEqual(await git.revParse("HEAD"), second);
+        assert.deepStrictEqual(await git.changedFiles(), ["package.json"]);
+        await git.restore(second, ["package.json"]);
+        assert.deepStrictEqual(await git.uncommittedFiles(), []);
+    });
+
+    it("rejects the git commands it cannot simulate", async () => {
+        await assert.rejects(git.run(["status"]), GitError);
+    });
+});
+
+describe("release tags read through the git adapter", () => {
+    const logger = {log: () => undefined, error: () => undefined};
+    let git;
+
+    beforeEach(() => {
+        git = new FakeGitRepository();
+        git.addCommit("chore: initial commit");
+        git.addTag("v1.0.0");
+        git.addCommit("fix: a bug");
+        git.addTag("v1.0.1");
+        git.addTag("not-a-release");
+        git.addCommit("feat: a feature");
+    });
+
+    it("finds the current release by SemVer precedence", async () => {
+        git.addTag("v1.0.1-rc.1", "v1.0.0");
+        assert.strictEqual((await support.currentRelease({git})).trim(), "v1.0.1");
+    });
+
+    it("computes the next release tag, keeping the tag prefix", async () => {
+        assert.strictEqual(await support.computeNewReleaseTag({git, logger, action: {release: constants.RELEASE_TYPES.MINOR}}), "v1.1.0");
+        assert.strictEqual(await support.computeNewReleaseTag({git, logger, action: {release: constants.AUTO_RELEASE_TYPE}}), "v1.1.0");
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests of the release hooks: the commands and functions they run, the output of the commands and the files they
+ * change.
+ * @module test/hooks
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const hooks = require("../src/hooks");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+/**
+ * A shell command running a node script.
+ * @param {string} script - The script.
+ * @returns {string} The command.
+ */
+function node(script) {
+    return `${JSON.stringify(process.execPath)} -e ${JSON.stringify(script)}`;
+}
+
+describe("hooks", () => {
+    const context = {type: "minor", oldVersion: "1.0.0", newVersion: "1.1.0", tag: "1.1.0"};
+    let git;
+    let logs;
+    let errors;
+    let logger;
+
+    beforeEach(() => {
+        git = new FakeGitRepository();
+        logs = [];
+        errors = [];
+        logger = {log: message => logs.push(message), error: message => errors.push(message)};
+    });
+
+    it("streams the whole output of noisy commands to the logger", async () => {
+        // More than the 1 MB of output a buffered command is allowed.
+        const script = "for (let i = 0; i < 20000; i++) console.log('line ' + i + ' ' + 'x'.repeat(60)); console.error('done')";
+        await hooks.runHook({preBump: node(script)}, hooks.HOOK_NAMES.PRE_BUMP, context, logger, git);
+
+        assert.strictEqual(logs.length, 20001);
+        assert.strictEqual(logs[20000], `line 19999 ${"x".repeat(60)}`);
+        assert.deepStrictEqual(errors, ["done"]);
+    });
+
+    it("gives the release context to commands and functions", async () => {
+        const received = [];
+        const hook = [node("console.log(process.env.JS_CHANGELOG_HOOK + ' ' + process.env.JS_CHANGELOG_TAG)"), value => received.push(value)];
+        await hooks.runHook({postBump: hook}, hooks.HOOK_NAMES.POST_BUMP, context, logger, git);
+
+        assert.ok(logs.includes("postBump 1.1.0"));
+        assert.deepStrictEqual(received, [{...context, hook: hooks.HOOK_NAMES.POST_BUMP}]);
+    });
+
+    it("fails on the exit code of a command", async () => {
+        await assert.rejects(hooks.runHook({preTag: node("process.exit(3)")}, hooks.HOOK_NAMES.PRE_TAG, context, logger, git), /The preTag hook failed: .*exit code 3/s);
+    });
+
+    it("stages the files the hook changed, and only them", async () => {
+        git.modify(["notes.txt"]);
+        const staged = await hooks.runHook({postChangelog: () => git.modify(["dist/index.js"])}, hooks.HOOK_NAMES.POST_CHANGELOG, context, logger, git);
+
+        assert.deepStrictEqual(staged, ["dist/index.js"]);
+        assert.deepStrictEqual(await git.changedFiles(), ["notes.txt"]);
+    });
+
+    it("validates and describes the hooks", () => {
+        assert.strictEqual(hooks.validateHooks({preBump: "npm test", postRelease: [() => undefined]}), null);
+        assert.match(hooks.validateHooks({afterPush: "x"}), /unknown hook "afterPush"/);
+        assert.match(hooks.validateHooks({preBump: [""]}), /must be a command, a function or an array of them/);
+        assert.deepStrictEqual(hooks.describeHooks({postRelease: function notify() {}, preBump: "npm test"}), ["preBump: npm test", "postRelease: function notify"]);
+    });
+});
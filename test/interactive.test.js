@@ -0,0 +1,85 @@
+/**
+ * Tests of the interactive release wizard: the release types it offers and the release it previews.
+ * @module test/interactive
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interactive = require("../src/interactive");
+const {Releaser} = require("../src/releaser");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+describe("interactive wizard", () => {
+    let dir;
+    let logs;
+
+    /**
+     * Run the wizard as a dry run, picking a release type and continuing after the preview.
+     * @param {FakeGitRepository} git - The repository.
+     * @param {string} answer - The answer to the release type question.
+     * @returns {Promise<object>} A promise that resolves to the release result and the offered release types.
+     */
+    async function runWizard(git, answer) {
+        const {args} = new Releaser({
+            config: path.join(dir, ".jschangelogrc.json"),
+            packageJson: path.join(dir, "package.json"),
+            changelogTemplate: path.join(__dirname, "..", "configs", "changelog-template.hbs"),
+            logger: {log: message => logs.push(message), error: message => logs.push(message)},
+            git
+        });
+        const prompt = question => question.startsWith("Choose a release type") ? answer : "c";
+        const result = await interactive.runWizard({...args, dry_run: true}, prompt);
+        const choices = logs.slice(logs.indexOf("Release types:") + 1).filter(line => /^ {2}\d\) /.test(line)).map(line => line.trim().split(/\s+/).slice(1, 3));
+        return {result, choices};
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        fs.writeFileSync(path.join(dir, ".jschangelogrc.json"), "{}\n");
+        fs.writeFileSync(path.join(dir, "package.json"), "{\n    \"name\": \"demo\",\n    \"version\": \"1.0.0\"\n}\n");
+        logs = [];
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("offers the release types leading to a new version", async () => {
+        const git = new FakeGitRepository();
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("feat: support comments");
+
+        const {result, choices} = await runWizard(git, "2");
+
+        assert.deepStrictEqual(choices, [["major", "2.0.0"], ["minor", "1.1.0"], ["patch", "1.0.1"], ["prerelease", "1.0.1-rc.1"]]);
+        assert.strictEqual(result.tag, "1.1.0");
+    });
+
+    it("keeps maintenance branches in their release line", async () => {
+        const git = new FakeGitRepository({branch: "release/1.x"});
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("fix: handle empty input");
+
+        const {choices} = await runWizard(git, "1");
+
+        assert.deepStrictEqual(choices.map(([type]) => type), ["minor", "patch", "prerelease"]);
+    });
+
+    it("offers the version forced by a Release-As trailer once", async () => {
+        const git = new FakeGitRepository();
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("feat: new api\n\nRelease-As: 3.0.0");
+
+        const {result, choices} = await runWizard(git, "1");
+
+        assert.deepStrictEqual(choices, [["major", "3.0.0"]]);
+        assert.strictEqual(result.tag, "3.0.0");
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests of the references of commit messages and of the contributors of a release: the issue trackers, the custom
+ * reference patterns, the .mailmap file and the Co-authored-by trailers.
+ * @module test/references
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const references = require("../src/references");
+
+/**
+ * The web URL of the repository of the tests.
+ * @type {string}
+ */
+const REPOSITORY = "https://github.com/acme/app";
+
+describe("references", () => {
+    it("tells pull requests from issues on GitHub", () => {
+        const patterns = references.getReferencePatterns({}, REPOSITORY);
+        const found = references.findReferences("feat: support comments (#12)\n\nFixes #45, see #46 and a&#47;", patterns);
+        assert.deepStrictEqual(found.map(({id, kind, href, closes}) => ({id, kind, href, closes})), [
+            {id: "12", kind: references.REFERENCE_KINDS.PULL, href: `${REPOSITORY}/pull/12`, closes: false},
+            {id: "45", kind: references.REFERENCE_KINDS.ISSUE, href: `${REPOSITORY}/issues/45`, closes: true},
+            {id: "46", kind: references.REFERENCE_KINDS.ISSUE, href: `${REPOSITORY}/issues/46`, closes: false}
+        ]);
+    });
+
+    it("infers the issue tracker from the host and links nothing without a remote", () => {
+        const gitlab = references.getReferencePatterns({}, "https://gitlab.com/acme/app");
+        assert.deepStrictEqual(references.findReferences("fix: crash !7 #8", gitlab).map(reference => reference.href), ["https://gitlab.com/acme/app/-/merge_requests/7", "https://gitlab.com/acme/app/-/issues/8"]);
+        assert.deepStrictEqual(references.getReferencePatterns({}, null), []);
+        assert.deepStrictEqual(references.getReferencePatterns({issue_tracker: references.NO_ISSUE_TRACKER}, REPOSITORY), []);
+    });
+
+    it("tries the custom patterns first, with the id group", () => {
+        const args = {references: [{pattern: "\\b(?<id>JIRA-\\d+)\\b", url: "https://jira.example.com/browse/{id}"}]};
+        const found = references.findReferences("fix: JIRA-901 #3", references.getReferencePatterns(args, REPOSITORY));
+        assert.deepStrictEqual(found.map(reference => reference.href), ["https://jira.example.com/browse/JIRA-901", `${REPOSITORY}/issues/3`]);
+    });
+
+    it("validates the settings", () => {
+        assert.strictEqual(references.validateReferencePatterns([{pattern: "#(\\d+)", url: "{id}", kind: "pull"}]), null);
+        assert.match(references.validateReferencePatterns([{pattern: "#(\\d+)", url: "https://example.com"}]), /\{id\} placeholder/);
+        assert.match(references.validateReferencePatterns([{pattern: "(", url: "{id}"}]), /invalid pattern/);
+        assert.match(references.validateReferencePatterns([{pattern: "x", url: "{id}", kind: "epic"}]), /kind "epic"/);
+        assert.match(references.validateIssueTracker("jira"), /must be one of github, gitlab, gitea, none/);
+    });
+
+    it("links the subject and maps the authors through the .mailmap file", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        try {
+            const mailmapPath = path.join(dir, ".mailmap");
+            fs.writeFileSync(mailmapPath, "Jane Doe <jane@example.com> <jane@old.example.com>\n# a comment\nJohn Roe <JOHN@example.com>\n");
+            const mailmap = references.readMailmap(mailmapPath);
+            const commit = {
+                subject: "fix: crash on #4",
+                message: "fix: crash on #4\n\nCo-authored-by: john <john@example.com>",
+                body: "Co-authored-by: john <john@example.com>",
+                author: "jane",
+                email: "jane@old.example.com"
+            };
+
+            references.linkCommit(commit, references.getReferencePatterns({}, REPOSITORY), mailmap);
+
+            assert.strictEqual(commit.linkedSubject, `fix: crash on [#4](${REPOSITORY}/issues/4)`);
+            assert.deepStrictEqual([commit.author, commit.email], ["Jane Doe", "jane@example.com"]);
+            assert.deepStrictEqual(commit.coAuthors, [{name: "John Roe", email: "john@example.com"}]);
+            assert.deepStrictEqual(references.readMailmap(path.join(dir, "missing")), []);
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it("counts each contributor once per commit, the most active first", () => {
+        const commits = [
+            {author: "Ann", email: "ann@example.com", coAuthors: [{name: "Bob", email: "bob@example.com"}]},
+            {author: "Bob", email: "BOB@example.com", coAuthors: [{name: "Bob", email: "bob@example.com"}]},
+            {author: "Cy", email: "cy@example.com", coAuthors: []}
+        ];
+        assert.deepStrictEqual(references.getContributors(commits), [
+            {name: "Bob", email: "bob@example.com", commits: 2},
+            {name: "Ann", email: "ann@example.com", commits: 1},
+            {name: "Cy", email: "cy@example.com", commits: 1}
+        ]);
+    });
+});
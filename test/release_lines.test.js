@@ -0,0 +1,87 @@
+/**
+ * Tests of the release lines of maintenance branches: the branch names making a line, and the releases staying in it.
+ * @module test/release_lines
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const constants = require("../src/constants");
+const semver = require("../src/semver");
+const support = require("../src/support");
+const releaseLines = require("../src/release_lines");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+describe("release lines", () => {
+    const logger = {log: () => undefined, error: () => undefined};
+    const prefixes = releaseLines.DEFAULT_BRANCH_PREFIXES;
+
+    /**
+     * Get the name of the line of a branch.
+     * @param {string} branch - The branch name.
+     * @returns {string|null} The name of the line, null if the branch is not a maintenance branch.
+     */
+    function lineOf(branch) {
+        const line = releaseLines.parseReleaseLine(branch, prefixes);
+        return line && line.name;
+    }
+
+    it("reads the line of the maintenance branches", () => {
+        assert.strictEqual(lineOf("release/1.2"), "1.2.x");
+        assert.strictEqual(lineOf("maintenance/v2"), "2.x");
+        assert.strictEqual(lineOf("1.x"), "1.x");
+        assert.strictEqual(lineOf("hotfix/1.2.x"), "1.2.x");
+    });
+
+    it("does not read a line from the other branches named after a number", () => {
+        assert.strictEqual(lineOf("issue/7"), null);
+        assert.strictEqual(lineOf("feature/2"), null);
+        assert.strictEqual(lineOf("2024"), null);
+        assert.strictEqual(lineOf("main"), null);
+        assert.strictEqual(releaseLines.parseReleaseLine("support/3", ["support"]).name, "3.x");
+    });
+
+    it("reads any line given on the command line", () => {
+        assert.strictEqual(releaseLines.parseReleaseLine("1.2").name, "1.2.x");
+        assert.strictEqual(releaseLines.parseReleaseLine("v3").name, "3.x");
+        assert.strictEqual(releaseLines.parseReleaseLine("1.2.3"), null);
+    });
+
+    it("validates the branch prefixes", () => {
+        assert.strictEqual(releaseLines.validateBranchPrefixes(["release", "team/support"]), null);
+        assert.match(releaseLines.validateBranchPrefixes(["release/"]), /without the trailing slash/);
+        assert.match(releaseLines.validateBranchPrefixes("release"), /must be an array/);
+    });
+
+    it("gets the line of the current branch unless one is given", async () => {
+        assert.strictEqual((await releaseLines.getReleaseLine({git: new FakeGitRepository({branch: "release/1.0"})})).name, "1.0.x");
+        assert.strictEqual(await releaseLines.getReleaseLine({git: new FakeGitRepository({branch: "issue/7"})}), null);
+        assert.strictEqual(await releaseLines.getReleaseLine({git: new FakeGitRepository({branch: null})}), null);
+        assert.strictEqual((await releaseLines.getReleaseLine({git: new FakeGitRepository(), release_line: "2.x"})).name, "2.x");
+        await assert.rejects(releaseLines.getReleaseLine({git: new FakeGitRepository(), release_line: "next"}), /Invalid release line/);
+    });
+
+    it("keeps the releases inside their line", () => {
+        const line = releaseLines.parseReleaseLine("1.2.x");
+        assert.ok(releaseLines.isInLine(semver.parse("1.2.7"), line));
+        assert.ok(!releaseLines.isInLine(semver.parse("1.3.0"), line));
+        assert.ok(releaseLines.isUpToLine(semver.parse("1.1.9"), line));
+        assert.ok(!releaseLines.isUpToLine(semver.parse("1.3.0"), line));
+        assert.throws(() => releaseLines.assertInLine(semver.parse("1.3.0"), line, "minor"), /leaves the 1\.2\.x line of 1\.2\.x/);
+        assert.doesNotThrow(() => releaseLines.assertInLine(semver.parse("1.3.0"), null, "minor"));
+    });
+
+    it("releases a maintenance branch from the newest release of its line", async () => {
+        const git = new FakeGitRepository({branch: "release/1.0"});
+        git.addCommit("chore: initial commit");
+        git.addTag("1.0.0");
+        git.addCommit("fix: a bug");
+        git.addTag("1.0.1");
+        git.addTag("2.0.0");
+        git.addCommit("fix: another bug");
+        const args = {git, logger};
+
+        assert.strictEqual(await support.computeNewReleaseTag({...args, action: {release: constants.RELEASE_TYPES.PATCH}}), "1.0.2");
+        await assert.rejects(support.computeNewReleaseTag({...args, action: {release: constants.RELEASE_TYPES.MINOR}}), /leaves the 1\.0\.x line/);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests of the release pipeline, run by a Releaser on a FakeGitRepository: the version bump, the changelog, the
+ * release commit and tag, and the rollback of a failed release.
+ * @module test/releaser
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const constants = require("../src/constants");
+const releaseJournal = require("../src/release_journal");
+const {Releaser} = require("../src/releaser");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+/**
+ * The changelog template shipped with js-changelog.
+ * @type {string}
+ */
+const TEMPLATE_PATH = path.join(__dirname, "..", "configs", "changelog-template.hbs");
+
+describe("Releaser", () => {
+    let dir;
+    let git;
+    let logs;
+
+    /**
+     * Create a releaser working on the temporary directory and the fake repository.
+     * @param {object} [settings] - Settings overriding the ones of the test.
+     * @returns {Releaser} The releaser.
+     */
+    function createReleaser(settings = {}) {
+        return new Releaser({
+            config: path.join(dir, ".jschangelogrc.json"),
+            packageJson: path.join(dir, "package.json"),
+            changelogOutput: path.join(dir, "CHANGELOG.md"),
+            changelogTemplate: TEMPLATE_PATH,
+            mailmap: path.join(dir, ".mailmap"),
+            logger: {log: message => logs.push(message), error: message => logs.push(message)},
+            git,
+            ...settings
+        });
+    }
+
+    /**
+     * Read the version in the package.json of the temporary directory.
+     * @returns {string} The version.
+     */
+    function readVersion() {
+        return JSON.parse(fs.readFileSync(path.join(dir, "package.json")).toString()).version;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        fs.writeFileSync(path.join(dir, ".jschangelogrc.json"), "{}\n");
+        fs.writeFileSync(path.join(dir, "package.json"), "{\n    \"name\": \"demo\",\n    \"version\": \"1.0.0\"\n}\n");
+        logs = [];
+        git = new FakeGitRepository();
+        git.addCommit("chore: initial commit", {files: ["package.json"]});
+        git.addTag("1.0.0");
+        git.addCommit("fix: handle empty input", {files: ["src/index.js"]});
+        git.addCommit("feat(parser): support comments", {files: ["src/parser.js"]});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+        if (git.gitDir) {
+            fs.rmSync(git.gitDir, {recursive: true, force: true});
+        }
+    });
+
+    it("bumps the version, writes the changelog, commits, tags and pushes", async () => {
+        const result = await createReleaser().release({type: constants.AUTO_RELEASE_TYPE});
+
+        assert.strictEqual(result.tag, "1.1.0");
+        assert.strictEqual(result.oldVersion, "1.0.0");
+        assert.strictEqual(readVersion(), "1.1.0");
+        const changelog = fs.readFileSync(path.join(dir, "CHANGELOG.md")).toString();
+        assert.match(changelog, /^# 1\.1\.0$/m);
+        assert.match(changelog, /feat\(parser\): support comments/);
+        assert.match(changelog, /fix: handle empty input/);
+
+        assert.deepStrictEqual(git.operations.map(operation => operation.operation), ["add", "commit", "add", "commit", "tag", "push"]);
+        assert.strictEqual(git.operations[3].message, "version bump: 1.1.0");
+        assert.deepStrictEqual(git.operations[5].refs, ["main", "refs/tags/1.1.0"]);
+        assert.strictEqual(await git.revParse("1.1.0"), result.commitSha);
+        assert.strictEqual(await git.revParse("origin/main"), result.commitSha);
+        assert.strictEqual(await releaseJournal.readJournal(git), null);
+    });
+
+    it("emits the release events in order", async () => {
+        const releaser = createReleaser();
+        const events = [];
+        Object.values(constants.RELEASE_EVENTS).forEach(event => releaser.on(event, () => events.push(event)));
+        await releaser.release({type: constants.RELEASE_TYPES.PATCH});
+
+        assert.deepStrictEqual(events, ["start", "version", "bump", "changelog", "commit", "tag", "push", "done"]);
+    });
+
+    it("updates the tracked lockfile and leaves an ignored one alone", async () => {
+        const lockfile = "{\n    \"name\": \"demo\",\n    \"version\": \"1.0.0\",\n    \"lockfileVersion\": 3\n}\n";
+        fs.writeFileSync(path.join(dir, "package-lock.json"), lockfile);
+        fs.writeFileSync(path.join(dir, "npm-shrinkwrap.json"), lockfile);
+        git.addCommit("chore: lock dependencies", {files: [path.join(dir, "npm-shrinkwrap.json")]});
+
+        await createReleaser().release({type: constants.RELEASE_TYPES.PATCH});
+
+        assert.strictEqual(fs.readFileSync(path.join(dir, "package-lock.json")).toString(), lockfile);
+        assert.match(fs.readFileSync(path.join(dir, "npm-shrinkwrap.json")).toString(), /"version": "1\.0\.1"/);
+        const staged = git.operations.filter(operation => operation.operation === "add").flatMap(operation => operation.paths);
+        assert.ok(staged.includes(path.join(dir, "npm-shrinkwrap.json")));
+        assert.ok(!staged.includes(path.join(dir, "package-lock.json")));
+    });
+
+    it("only previews a dry run", async () => {
+        const result = await createReleaser().release({type: constants.RELEASE_TYPES.MAJOR, dryRun: true});
+
+        assert.strictEqual(result.tag, "2.0.0");
+        assert.strictEqual(result.commitSha, null);
+        assert.strictEqual(readVersion(), "1.0.0");
+        assert.strictEqual(fs.existsSync(path.join(dir, "CHANGELOG.md")), false);
+        assert.deepStrictEqual(git.operations, []);
+        assert.ok(logs.includes("[dry run] Planned release tag: 2.0.0"));
+    });
+
+    it("refuses to release with uncommitted changes", async () => {
+        git.modify(["src/index.js"]);
+        await assert.rejects(createReleaser().release({type: constants.RELEASE_TYPES.PATCH}), /clean/);
+        assert.deepStrictEqual(git.operations, []);
+    });
+
+    it("rolls back the version bump, the changelog, the commit and the tag when a step fails", async () => {
+        const head = await git.revParse("HEAD");
+        git.push = async () => {
+            throw new Error("remote rejected");
+        };
+
+        await assert.rejects(createReleaser().release({type: constants.RELEASE_TYPES.MINOR}), /remote rejected/);
+
+        assert.strictEqual(readVersion(), "1.0.0");
+        assert.strictEqual(fs.existsSync(path.join(dir, "CHANGELOG.md")), false);
+        assert.strictEqual(await git.revParse("HEAD"), head);
+        assert.deepStrictEqual(await git.tags(), ["1.0.0"]);
+        assert.deepStrictEqual(git.operations.slice(-2).map(operation => operation.operation), ["deleteTag", "reset"]);
+        assert.strictEqual(await releaseJournal.readJournal(git), null);
+    });
+
+    it("keeps a published release and tells how to push its tag when pushing fails", async () => {
+        const releaser = createReleaser();
+        releaser.publish = async (args, targets, published) => {
+            published.push("demo@1.1.0");
+        };
+        git.push = async () => {
+            throw new Error("remote rejected");
+        };
+
+        await assert.rejects(releaser.release({type: constants.RELEASE_TYPES.MINOR}), error => {
+            assert.match(error.message, /demo@1\.1\.0 is already published, so the release commit and tags are kept: push them with git push origin main refs\/tags\/1\.1\.0\.$/);
+            return true;
+        });
+        assert.deepStrictEqual(await git.tags(), ["1.0.0", "1.1.0"]);
+        assert.strictEqual(readVersion(), "1.1.0");
+    });
+
+    it("restores the files changed by hooks when rolling back", async () => {
+        const hooks = {
+            postBump: () => git.modify(["README.md"]),
+            preTag: () => {
+                git.modify(["dist/index.js"]);
+                throw new Error("build failed");
+            }
+        };
+
+        await assert.rejects(createReleaser({hooks}).release({type: constants.RELEASE_TYPES.PATCH}), /build failed/);
+
+        const restored = git.operations.filter(operation => operation.operation === "restore");
+        assert.deepStrictEqual(restored.map(operation => operation.paths), [["dist/index.js"], ["README.md"]]);
+        const uncommitted = await git.uncommittedFiles();
+        assert.ok(!uncommitted.includes("README.md") && !uncommitted.includes("dist/index.js"));
+        assert.strictEqual(readVersion(), "1.0.0");
+    });
+
+    it("undoes an interrupted release on recover", async () => {
+        const head = await git.revParse("HEAD");
+        const journal = await releaseJournal.startJournal("1.0.1", git);
+        await releaseJournal.recordFile(journal, path.join(dir, "package.json"), git);
+        fs.writeFileSync(path.join(dir, "package.json"), "{\"name\": \"demo\", \"version\": \"1.0.1\"}\n");
+        await releaseJournal.recordStep(journal, {type: releaseJournal.STEP_TYPES.COMMIT}, git);
+        await git.add(["package.json"]);
+        await git.commit("version bump: 1.0.1");
+
+        assert.strictEqual(await createReleaser().recover(), true);
+        assert.strictEqual(readVersion(), "1.0.0");
+        assert.strictEqual(await git.revParse("HEAD"), head);
+        assert.strictEqual(await createReleaser().recover(), false);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests of the SemVer 2.0 versions: parsing and formatting, precedence, and the increments of each release type,
+ * including the pre-release and graduate rules.
+ * @module test/semver
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const constants = require("../src/constants");
+const semver = require("../src/semver");
+
+/**
+ * Increment a version given as a string.
+ * @param {string} version - The current version.
+ * @param {string} type - One of the RELEASE_TYPES values.
+ * @param {string} [prereleaseId] - The pre-release identifier.
+ * @returns {string} The new version.
+ */
+function increment(version, type, prereleaseId) {
+    return semver.format(semver.increment(semver.parse(version), type, prereleaseId));
+}
+
+describe("semver", () => {
+    const {MAJOR, MINOR, PATCH, PRERELEASE, GRADUATE} = constants.RELEASE_TYPES;
+
+    it("parses and formats prefixes, pre-release identifiers and build metadata", () => {
+        const version = semver.parse("v1.2.3-rc.1+build.5");
+        assert.deepStrictEqual(version, {description: "v", major: 1, minor: 2, patch: 3, prerelease: ["rc", "1"], build: ["build", "5"]});
+        assert.strictEqual(semver.format(version), "v1.2.3-rc.1+build.5");
+        assert.strictEqual(semver.isValid("1.2"), false);
+        assert.throws(() => semver.parse("latest"), /Unable to parse version tag 'latest'/);
+    });
+
+    it("sorts versions by SemVer precedence", () => {
+        const versions = ["1.0.0", "1.0.0-rc.1", "1.0.0-beta.11", "1.0.0-alpha.beta", "1.0.0-beta.2", "1.0.0-alpha", "1.0.0-alpha.1", "1.0.0-beta", "0.9.10", "0.9.9"];
+        const sorted = versions.map(semver.parse).sort(semver.compare).map(semver.format);
+        assert.deepStrictEqual(sorted, ["0.9.9", "0.9.10", "1.0.0-alpha", "1.0.0-alpha.1", "1.0.0-alpha.beta", "1.0.0-beta", "1.0.0-beta.2", "1.0.0-beta.11", "1.0.0-rc.1", "1.0.0"]);
+    });
+
+    it("ignores build metadata when comparing", () => {
+        assert.strictEqual(semver.compare(semver.parse("1.0.0+a"), semver.parse("1.0.0+b")), 0);
+    });
+
+    it("increments releases and drops their pre-release and build metadata", () => {
+        assert.strictEqual(increment("1.2.3+build.5", MAJOR), "2.0.0");
+        assert.strictEqual(increment("1.2.3", MINOR), "1.3.0");
+        assert.strictEqual(increment("v1.2.3", PATCH), "v1.2.4");
+    });
+
+    it("releases the version a pre-release leads to when it is not past it", () => {
+        assert.strictEqual(increment("2.0.0-rc.1", MAJOR), "2.0.0");
+        assert.strictEqual(increment("1.3.0-rc.1", MINOR), "1.3.0");
+        assert.strictEqual(increment("1.2.4-rc.1", PATCH), "1.2.4");
+        assert.strictEqual(increment("1.2.4-rc.1", MINOR), "1.3.0");
+        assert.strictEqual(increment("1.3.0-rc.1", GRADUATE), "1.3.0");
+    });
+
+    it("counts pre-releases of the same identifier and starts over for a new version", () => {
+        assert.strictEqual(increment("1.2.3", PRERELEASE, "rc"), "1.2.4-rc.1");
+        assert.strictEqual(increment("1.2.4-rc.1", PRERELEASE, "rc"), "1.2.4-rc.2");
+        assert.strictEqual(increment("1.2.4-beta.3", PRERELEASE, "rc"), "1.2.4-rc.1");
+        assert.strictEqual(increment("1.3.0", MINOR, "beta"), "1.4.0-beta.1");
+        assert.strictEqual(increment("1.4.0-beta.1", MINOR, "beta"), "1.4.0-beta.2");
+        assert.strictEqual(increment("1.4.0-beta.1", MAJOR, "beta"), "2.0.0-beta.1");
+    });
+
+    it("refuses pre-releases lowering the precedence and invalid identifiers", () => {
+        assert.throws(() => increment("1.2.4-rc.1", PRERELEASE, "beta"), /1\.2\.4-beta\.1 would not follow it/);
+        assert.throws(() => increment("1.2.3", PRERELEASE), /Invalid pre-release identifier/);
+        assert.throws(() => increment("1.2.3", PRERELEASE, "rc.1"), /Invalid pre-release identifier/);
+    });
+
+    it("only graduates pre-releases, to their release", () => {
+        assert.throws(() => increment("1.2.3", GRADUATE), /it is not a pre-release/);
+        assert.throws(() => increment("1.3.0-rc.1", GRADUATE, "rc"), /graduating releases it/);
+        assert.throws(() => increment("1.2.3", "huge"), /Invalid release type: "huge"/);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests of the tag naming schemes: the tagTemplate setting, the legacy prefix, and the versions of tags made by
+ * other schemes.
+ * @module test/tag_templates
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const semver = require("../src/semver");
+const tagTemplates = require("../src/tag_templates");
+
+describe("tag templates", () => {
+    it("validates templates", () => {
+        assert.strictEqual(tagTemplates.validateTagTemplate("v{version}"), null);
+        assert.strictEqual(tagTemplates.validateTagTemplate("{name}@{version}"), null);
+        assert.match(tagTemplates.validateTagTemplate("release"), /placeholder once/);
+        assert.match(tagTemplates.validateTagTemplate("{version}-{version}"), /placeholder once/);
+        assert.match(tagTemplates.validateTagTemplate("{package}@{version}"), /unknown placeholders \{package\}/);
+        assert.match(tagTemplates.validateTagTemplate("release {version}"), /characters allowed in git tag names/);
+    });
+
+    it("only parses the tags matching the template", () => {
+        const scheme = tagTemplates.getTagScheme({tag_template: "release-{version}"});
+        assert.strictEqual(scheme.template, "release-{version}");
+        assert.strictEqual(semver.format(scheme.parse("release-1.2.0-rc.1")), "1.2.0-rc.1");
+        assert.strictEqual(scheme.parse("v1.2.0"), null);
+        assert.strictEqual(scheme.parse("release-1.2"), null);
+        assert.strictEqual(scheme.format(semver.parse("v2.0.0")), "release-2.0.0");
+    });
+
+    it("fills the {name} placeholder from package.json", () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        try {
+            const packageJson = path.join(dir, "package.json");
+            fs.writeFileSync(packageJson, JSON.stringify({name: "@scope/core", version: "1.0.0"}));
+            const scheme = tagTemplates.getTagScheme({tag_template: "{name}@{version}", package_json: packageJson});
+            assert.strictEqual(semver.format(scheme.parse("@scope/core@1.2.0")), "1.2.0");
+            assert.strictEqual(scheme.parse("@scope/cli@1.2.0"), null);
+            assert.strictEqual(scheme.format(semver.parse("1.3.0")), "@scope/core@1.3.0");
+
+            fs.writeFileSync(packageJson, "{}");
+            assert.throws(() => tagTemplates.getTagScheme({tag_template: "{name}@{version}", package_json: packageJson}), /has no name/);
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it("keeps the prefix of legacy tags unless a prefix is set", () => {
+        assert.strictEqual(tagTemplates.getTagScheme({}).format(semver.parse("v1.2.0")), "v1.2.0");
+        assert.strictEqual(tagTemplates.getTagScheme({tag_prefix: ""}).format(semver.parse("v1.2.0")), "1.2.0");
+        assert.strictEqual(semver.format(tagTemplates.parseReleaseTag(tagTemplates.getTagScheme({}), "v1.2.0")), "v1.2.0");
+    });
+
+    it("parses the zero version and rejects the tags of another scheme", () => {
+        const scheme = tagTemplates.getTagScheme({tag_template: "v{version}"});
+        assert.strictEqual(semver.format(tagTemplates.parseReleaseTag(scheme, "0.0.0")), "0.0.0");
+        assert.throws(() => tagTemplates.parseReleaseTag(scheme, "1.2.0"), /does not match the tag template v\{version\}/);
+    });
+
+    it("finds the version of tags made by any scheme", () => {
+        assert.strictEqual(tagTemplates.findTagVersion("release-1.2.3"), "1.2.3");
+        assert.strictEqual(tagTemplates.findTagVersion("pkg@1.2.3-rc.1"), "1.2.3-rc.1");
+        assert.strictEqual(tagTemplates.findTagVersion("v1.2.3"), "1.2.3");
+        assert.strictEqual(tagTemplates.findTagVersion("nightly"), null);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests of the version files: the format-preserving JSON edits, the npm lockfiles and the configured files.
+ * @module test/version_files
+ * @project js-changelog
+ */
+"use strict"
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const versionFiles = require("../src/version_files");
+const {FakeGitRepository} = require("../src/fake_git_repository");
+
+describe("formatJson", () => {
+    it("only replaces the changed values, keeping the spacing and the key order", () => {
+        const current = "{\"name\":\"demo\",  \"version\" :\t\"1.0.0\",\n\"nested\": {\"version\": \"1.0.0\"}}";
+        const data = {...JSON.parse(current), version: "1.1.0"};
+        assert.strictEqual(versionFiles.formatJson(current, data), "{\"name\":\"demo\",  \"version\" :\t\"1.1.0\",\n\"nested\": {\"version\": \"1.0.0\"}}");
+    });
+
+    it("replaces values nested in objects and arrays, and values holding escapes", () => {
+        const current = "{\r\n\t\"a\": [1, {\"b\": \"x\\\"y\"}],\r\n\t\"version\": \"1.0.0\"\r\n}";
+        const data = {a: [1, {b: "z"}], version: "2.0.0"};
+        assert.strictEqual(versionFiles.formatJson(current, data), "{\r\n\t\"a\": [1, {\"b\": \"z\"}],\r\n\t\"version\": \"2.0.0\"\r\n}");
+    });
+
+    it("serialises the data in the style of the text when fields are added", () => {
+        const current = "{\r\n\t\"name\": \"demo\"\r\n}\r\n";
+        assert.strictEqual(versionFiles.formatJson(current, {name: "demo", version: "1.0.0"}), "{\r\n\t\"name\": \"demo\",\r\n\t\"version\": \"1.0.0\"\r\n}\r\n");
+    });
+});
+
+describe("updateLockfile", () => {
+    it("sets the versions of the root and the workspace packages", () => {
+        const current = JSON.stringify({name: "root", version: "1.0.0", lockfileVersion: 3, packages: {"": {version: "1.0.0"}, "packages/a": {version: "0.1.0"}, "node_modules/a": {version: "0.1.0"}}}, undefined, 2);
+        const updated = JSON.parse(versionFiles.updateLockfile(current, {"": "1.1.0", "packages/a": "0.2.0"}));
+        assert.strictEqual(updated.version, "1.1.0");
+        assert.strictEqual(updated.packages[""].version, "1.1.0");
+        assert.strictEqual(updated.packages["packages/a"].version, "0.2.0");
+        assert.strictEqual(updated.packages["node_modules/a"].version, "0.1.0");
+    });
+});
+
+describe("validateVersionFiles", () => {
+    it("accepts paths and files with a pattern holding a group", () => {
+        assert.strictEqual(versionFiles.validateVersionFiles(["VERSION", {path: "src/version.js", pattern: "version = \"(.*)\""}]), null);
+    });
+
+    it("rejects entries without a path and patterns without a group or invalid", () => {
+        assert.match(versionFiles.validateVersionFiles("VERSION"), /must be an array/);
+        assert.match(versionFiles.validateVersionFiles([{pattern: "(x)"}]), /with a path/);
+        assert.match(versionFiles.validateVersionFiles([{path: "a.js", pattern: "version"}]), /without a group/);
+        assert.match(versionFiles.validateVersionFiles([{path: "a.js", pattern: "(version"}]), /invalid pattern/);
+    });
+});
+
+describe("renderVersionFiles", () => {
+    let dir;
+    let git;
+
+    /**
+     * Write a file in the temporary directory.
+     * @param {string} name - The name of the file.
+     * @param {string} content - The content of the file.
+     * @returns {string} The path of the file.
+     */
+    function write(name, content) {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-changelog-test-"));
+        git = new FakeGitRepository();
+        write("package.json", "{\n  \"name\": \"demo\",\n  \"version\": \"1.0.0\"\n}\n");
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it("updates package.json, plain files and pattern matches without the tag prefix", async () => {
+        const version = write("VERSION", "1.0.0\n");
+        const source = write("version.js", "export const version = \"1.0.0\";\nexport const api = \"1.0.0\";\n");
+        const args = {git, package_json: path.join(dir, "package.json"), tag_prefix: "v", version_files: [version, {path: source, pattern: "^export const version = \"(?<version>[^\"]+)\""}]};
+
+        const updates = await versionFiles.renderVersionFiles(args, "v1.1.0");
+
+        assert.deepStrictEqual(updates.map(update => update.updated), [
+            "{\n  \"name\": \"demo\",\n  \"version\": \"1.1.0\"\n}\n",
+            "1.1.0\n",
+            "export const version = \"1.1.0\";\nexport const api = \"1.0.0\";\n"
+        ]);
+    });
+
+    it("only updates the lockfiles git tracks", async () => {
+        const lockfile = write("package-lock.json", "{\"version\": \"1.0.0\"}");
+        const shrinkwrap = write("npm-shrinkwrap.json", "{\"version\": \"1.0.0\"}");
+        git.addCommit("chore: lock dependencies", {files: [shrinkwrap]});
+
+        const files = await versionFiles.getVersionFiles({git, package_json: path.join(dir, "package.json")});
+
+        assert.deepStrictEqual(files.map(file => file.path), [path.join(dir, "package.json"), shrinkwrap]);
+        assert.strictEqual(files[1].handler, versionFiles.HANDLERS.LOCKFILE);
+        assert.ok(!files.some(file => file.path === lockfile));
+    });
+
+    it("fails on a missing file or a pattern that does not match", async () => {
+        const args = {git, package_json: path.join(dir, "package.json")};
+        await assert.rejects(versionFiles.renderVersionFiles({...args, version_files: [path.join(dir, "VERSION")]}, "1.1.0"), /does not exist/);
+        const source = write("version.js", "const v = 1;\n");
+        await assert.rejects(versionFiles.renderVersionFiles({...args, version_files: [{path: source, pattern: "version = \"(.*)\""}]}, "1.1.0"), /does not match/);
+    });
+});